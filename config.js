@@ -1,66 +1,165 @@
 module.exports = {
-    staging: {
-      baseUrl: "https://live-web-sheridan.pantheonsite.io",
-      urls: [
-        "/",
-        "/about/",
-        "/academic-calendar/",
-        "/admissions/",
-        "/apply/",
-        "/apply/?d={internal_program_code}",
-        "/apply/?d=SHERIDAN.CA-B-BCPTRSCI",
-        "/apply/?d=SHERIDAN.CA-B-BINFOSCICBRSEC",
-        "/apply/?d=SHERIDAN.CA-B-BSCLCMTYDEV",
-        "/apply/?d=SHERIDAN.CA-B-GENARTSSCIIS",
-        "/apply/?d=URI-B-RNBS",
-        "/apply/?d=URI-B-RNBS&calculator=true",
-        "/degrees/area/",
-        "/degrees/area/prototype/",
-        "/privacy-policy/",
-        "/degrees/undergraduate/",
-        "/degrees/undergraduate/bachelors-computer-information-science/",
-        "/degrees/",
-        "/degrees/undergraduate/bachelors-computer-information-science/cyber-security/",
-        "/degrees/undergraduate/bachelors-computer-information-science/general/",
-        "/degrees/undergraduate/bachelors-social-community-development/",
-        "/degrees/undergraduate/general-arts-science-university-profile/",
-        "/online-experience/",
-        "/request-info/",
-        "/apply?d=URI-B-RNBS&calculator=true",
-        "/student-services/",
-        "/tuition/"
-      ]
+    // Devices to capture and compare. `device` names a Playwright device
+    // descriptor (see `devices` in @playwright/test); `viewport` overrides it.
+    devices: [
+      { name: "Desktop", viewport: { width: 1280, height: 800 } },
+      { name: "Tablet", device: "iPad (gen 7)" },
+      { name: "Mobile", device: "Pixel 5" },
+      { name: "iPhone", device: "iPhone 12" }
+    ],
+    // Browser that runs the visual comparison; projects using other browsers
+    // skip it so parallel workers never overwrite each other's screenshots
+    visualBrowser: "chromium",
+    // Options applied to every page when capturing and comparing screenshots.
+    //   mask: CSS selectors covered with a solid box in the screenshot
+    //   hide: CSS selectors hidden (visibility: hidden) before capture
+    //   ignoreRegions: pixel rectangles { x, y, width, height } left out of the diff
+    //   metric: similarity the pass threshold applies to: "pixel" (share of
+    //     matching pixels) or "ssim" (structural similarity, more tolerant of
+    //     small shifts); set per run with COMPARE_METRIC, per page in `pages`
+    //   passThreshold: minimum similarity percentage for a page to pass
+    //   pixelmatchThreshold: per-pixel color tolerance from 0 (strict) to 1
+    //   includeAA: count anti-aliased pixels as differences
+    //   regionGap: mismatches closer than this many pixels form one change region
+    //   alignRows: line up rows after inserted/removed vertical blocks before
+    //     comparing, so only the changed bands count against the page
+    //   freezeAnimations: stop CSS animations/transitions and hide the caret
+    //   scrollToLoad: scroll the full page to trigger lazy content before capture
+    //   stableShots: retake screenshots until two consecutive ones match
+    //   waitUntil: navigation event to wait for (load, domcontentloaded, networkidle)
+    //   navigationTimeout: milliseconds allowed for navigation and each wait below
+    //   waitForSelector: CSS selector that must be visible before capture
+    //   waitForFunction: JS expression that must be truthy before capture
+    //   extraDelay: milliseconds to wait after the page is ready
+    defaults: {
+      mask: [],
+      hide: [],
+      ignoreRegions: [],
+      metric: process.env.COMPARE_METRIC || "pixel",
+      passThreshold: 95,
+      pixelmatchThreshold: 0.1,
+      includeAA: false,
+      regionGap: 16,
+      alignRows: false,
+      freezeAnimations: true,
+      scrollToLoad: true,
+      stableShots: { enabled: false, maxAttempts: 5, interval: 1000 },
+      waitUntil: "networkidle",
+      navigationTimeout: 60000,
+      waitForSelector: null,
+      waitForFunction: null,
+      extraDelay: 0
     },
-    prod: {
-      baseUrl: "https://online.sheridancollege.ca",
-      urls: [
-        "https://online.sheridancollege.ca/",
-        "https://online.sheridancollege.ca/about/",
-        "https://online.sheridancollege.ca/academic-calendar/",
-        "https://online.sheridancollege.ca/admissions/",
-        "https://online.sheridancollege.ca/apply/",
-        "https://online.sheridancollege.ca/apply/?d={internal_program_code}",
-        "https://online.sheridancollege.ca/apply/?d=SHERIDAN.CA-B-BCPTRSCI",
-        "https://online.sheridancollege.ca/apply/?d=SHERIDAN.CA-B-BINFOSCICBRSEC",
-        "https://online.sheridancollege.ca/apply/?d=SHERIDAN.CA-B-BSCLCMTYDEV",
-        "https://online.sheridancollege.ca/apply/?d=SHERIDAN.CA-B-GENARTSSCIIS",
-        "https://online.sheridancollege.ca/apply/?d=URI-B-RNBS",
-        "https://online.sheridancollege.ca/apply/?d=URI-B-RNBS&calculator=true",
-        "https://online.sheridancollege.ca/degrees/area/",
-        "https://online.sheridancollege.ca/degrees/area/prototype/",
-        "https://online.sheridancollege.ca/privacy-policy/",
-        "https://online.sheridancollege.ca/degrees/undergraduate/",
-        "https://online.sheridancollege.ca/degrees/undergraduate/bachelors-computer-information-science/",
-        "https://online.sheridancollege.ca/degrees/",
-        "https://online.sheridancollege.ca/degrees/undergraduate/bachelors-computer-information-science/cyber-security/",
-        "https://online.sheridancollege.ca/degrees/undergraduate/bachelors-computer-information-science/general/",
-        "https://online.sheridancollege.ca/degrees/undergraduate/bachelors-social-community-development/",
-        "https://online.sheridancollege.ca/degrees/undergraduate/general-arts-science-university-profile/",
-        "https://online.sheridancollege.ca/online-experience/",
-        "https://online.sheridancollege.ca/request-info/",
-        "https://online.sheridancollege.ca/apply?d=URI-B-RNBS&calculator=true",
-        "https://online.sheridancollege.ca/student-services/",
-        "https://online.sheridancollege.ca/tuition/"
-      ]
-    }
+    // Per-path additions to `defaults`, keyed by a page path from `paths`
+    // (or a discovered page when the sitemap or crawler is enabled), e.g.
+    //   "/": { mask: [".elementor-widget-image-carousel"], ignoreRegions: [{ x: 0, y: 0, width: 1280, height: 40 }] }
+    pages: {
+      "/apply/": { waitUntil: "load", waitForSelector: "#gform_1" },
+      "/degrees/": { alignRows: true },
+      "/apply/?d=URI-B-RNBS&calculator=true": { passThreshold: 90, pixelmatchThreshold: 0.2 },
+      "/apply?d=URI-B-RNBS&calculator=true": { passThreshold: 90, pixelmatchThreshold: 0.2 },
+      "/request-info/": { waitUntil: "load", waitForSelector: "#gform_2", extraDelay: 1000 },
+      "/privacy-policy/": { passThreshold: 99 }
+    },
+    // Page components captured as element screenshots on every page and
+    // compared on their own. `selector` (optionally narrowed to elements that
+    // contain `has`) picks the first matching element; pages where it exists on
+    // neither environment are skipped. `include`/`exclude` are regular
+    // expressions on the page path; `passThreshold` and `metric` override the
+    // page's options.
+    components: [
+      { name: "Header", selector: ".elementor-location-header", has: "#mega-menu-item-148" },
+      { name: "Sticky Footer", selector: ".elementor-section, .e-con", has: "a.button[aria-label='apply now from sticky footer']" },
+      { name: "Hero", selector: "[data-elementor-type='wp-page'] > .elementor-section, [data-elementor-type='wp-page'] > .e-con", passThreshold: 90 }
+    ],
+    // Interaction states captured on a freshly loaded page after running
+    // `steps` in order ({ hover: selector } or { click: selector }) and waiting
+    // for `waitFor` ({ selector, state }, { function } and/or { delay } in ms).
+    // The viewport is captured unless `fullPage` is set. `include`/`exclude`,
+    // `passThreshold` and `metric` work as for components; states whose step
+    // targets exist on neither environment are skipped.
+    states: [
+      { name: "Online Programs Menu", include: ["^/$"], steps: [{ hover: "#mega-menu-item-148 > a.mega-menu-link" }], waitFor: { selector: "#mega-menu-item-148 ul.mega-sub-menu" } },
+      { name: "Getting Started Menu", include: ["^/$"], steps: [{ hover: "#mega-menu-item-153 > a.mega-menu-link" }], waitFor: { selector: "#mega-menu-item-153 ul.mega-sub-menu" } },
+      { name: "Request Info Form", include: ["^/$"], steps: [{ click: "li.request-info-btn a" }], waitFor: { selector: "#gform_2", delay: 500 } }
+    ],
+    // Optional sitemap source merged into `paths`. Reads `url` (a path on
+    // `environment`, or an absolute URL) or a local `file`; sitemap index files
+    // are followed. `include`/`exclude` are regular expressions on the page path.
+    sitemap: {
+      enabled: process.env.USE_SITEMAP === "1",
+      environment: "prod",
+      url: "/sitemap_index.xml",
+      include: [],
+      exclude: ["^/wp-content/", "^/(author|category|tag)/", "\\.xml$"]
+    },
+    // Optional link crawler (`npm run crawl`) that writes `output`; the page
+    // list there is merged into `paths` when `enabled` is set. Only query
+    // parameters named in `keepQueryParams` are kept when normalizing links.
+    crawler: {
+      enabled: process.env.USE_CRAWL === "1",
+      environments: ["staging", "prod"],
+      maxDepth: 3,
+      maxPages: 200,
+      keepQueryParams: ["d", "calculator"],
+      include: [],
+      exclude: ["^/wp-content/", "^/wp-admin/", "^/(author|category|tag)/", "^/feed/"],
+      output: "page-inventory.json"
+    },
+    // Worker threads each test worker diffs screenshots on (DIFF_WORKERS);
+    // 0 diffs on the test's own thread
+    diffWorkers: Number(process.env.DIFF_WORKERS || 1),
+    // Environments compared by default (override with BASE_ENV / TARGET_ENV)
+    compare: { base: "staging", target: "prod" },
+    // HTML report images: "thumbnails" links small previews to full-size copies
+    // in a folder next to the report; "embedded" inlines every full image so
+    // the report is one self-contained (but much larger) file
+    report: {
+      mode: process.env.REPORT_MODE || "thumbnails",
+      thumbnailWidth: 350
+    },
+    // Every visual run is appended to a JSON-lines history file, and a trend
+    // dashboard is generated from the last `dashboardRuns` runs
+    history: {
+      enabled: true,
+      file: "history/runs.jsonl",
+      dashboardRuns: 30
+    },
+    // Named environments that pages can be loaded from. Optional `label` and
+    // `color` ([r, g, b]) control how each is shown in reports and diffs.
+    environments: {
+      local: { baseUrl: process.env.LOCAL_BASE_URL || "http://localhost:8080" },
+      dev: { baseUrl: "https://dev-web-sheridan.pantheonsite.io" },
+      staging: { baseUrl: "https://live-web-sheridan.pantheonsite.io" },
+      prod: { baseUrl: "https://online.sheridancollege.ca" }
+    },
+    // Page paths, relative to each environment's baseUrl
+    paths: [
+      "/",
+      "/about/",
+      "/academic-calendar/",
+      "/admissions/",
+      "/apply/",
+      "/apply/?d=SHERIDAN.CA-B-BCPTRSCI",
+      "/apply/?d=SHERIDAN.CA-B-BINFOSCICBRSEC",
+      "/apply/?d=SHERIDAN.CA-B-BSCLCMTYDEV",
+      "/apply/?d=SHERIDAN.CA-B-GENARTSSCIIS",
+      "/apply/?d=URI-B-RNBS",
+      "/apply/?d=URI-B-RNBS&calculator=true",
+      "/degrees/area/",
+      "/degrees/area/prototype/",
+      "/privacy-policy/",
+      "/degrees/undergraduate/",
+      "/degrees/undergraduate/bachelors-computer-information-science/",
+      "/degrees/",
+      "/degrees/undergraduate/bachelors-computer-information-science/cyber-security/",
+      "/degrees/undergraduate/bachelors-computer-information-science/general/",
+      "/degrees/undergraduate/bachelors-social-community-development/",
+      "/degrees/undergraduate/general-arts-science-university-profile/",
+      "/online-experience/",
+      "/request-info/",
+      "/apply?d=URI-B-RNBS&calculator=true",
+      "/student-services/",
+      "/tuition/"
+    ]
   };
\ No newline at end of file
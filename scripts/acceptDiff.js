@@ -0,0 +1,120 @@
+// Accept the current visual difference of a page, or of one of its components
+// (--component) or interaction states (--state), so later runs report it as "Accepted" instead of "Fail"
+// until the diff changes or the acceptance expires. Uses the results of the
+// last run of the same comparison (BASE_ENV / TARGET_ENV / BASELINE_ENV select
+// it as for the tests).
+//
+// Usage: node scripts/acceptDiff.js <pagePath> [device...] [--component name | --state name] [--expires YYYY-MM-DD] [--reason text]
+//   e.g. node scripts/acceptDiff.js /tuition/ Desktop --expires 2026-12-01 --reason "Fee update"
+//        node scripts/acceptDiff.js /about/ --component Hero --reason "New hero copy"
+//        node scripts/acceptDiff.js /about/ --state "Menu open" --reason "New menu"
+const { loadConfig, getComparePair } = require("../utils/config.js");
+const { readPageResult } = require("../utils/results.js");
+const {
+  ACCEPTED_DIFFS_PATH,
+  readAcceptedDiffs,
+  writeAcceptedDiffs,
+  acceptDiff,
+} = require("../utils/acceptedDiffs.js");
+
+// Split the command line into positional arguments and --name value options
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      options[args[i].slice(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, options };
+}
+
+async function main() {
+  const chalk = (await import("chalk")).default;
+  const config = loadConfig();
+  const pair = getComparePair(config);
+  const {
+    positional: [pagePath, ...deviceNames],
+    options,
+  } = parseArgs(process.argv.slice(2));
+
+  if (!pagePath) {
+    throw new Error(
+      "Usage: node scripts/acceptDiff.js <pagePath> [device...] [--component name | --state name] [--expires YYYY-MM-DD] [--reason text]"
+    );
+  }
+  if (
+    options.expires !== undefined &&
+    !/^\d{4}-\d{2}-\d{2}$/.test(options.expires)
+  ) {
+    throw new Error(
+      `Invalid --expires date "${options.expires}", use YYYY-MM-DD.`
+    );
+  }
+
+  const devices =
+    deviceNames.length > 0
+      ? deviceNames
+      : config.devices.map((device) => device.name);
+  if (options.component !== undefined && options.state !== undefined) {
+    throw new Error("Accept either a --component or a --state, not both.");
+  }
+
+  // A component or state is looked up in the page result's list of them
+  const { component, state } = options;
+  const [listKey, itemName] = component
+    ? ["components", component]
+    : state
+    ? ["states", state]
+    : [];
+  const target = itemName ? `${pagePath} [${itemName}]` : pagePath;
+  let entries = readAcceptedDiffs();
+  let acceptedCount = 0;
+
+  for (const deviceName of devices) {
+    const pageResult = readPageResult(pair, deviceName, pagePath);
+    const result =
+      itemName && pageResult
+        ? (pageResult[listKey] || []).find(({ name }) => name === itemName)
+        : pageResult;
+    if (!result || !result.diffFingerprint) {
+      console.log(
+        chalk.yellow(
+          `No difference to accept for ${target} on ${deviceName} in the last ${pair.id} run`
+        )
+      );
+      continue;
+    }
+
+    entries = acceptDiff(entries, {
+      comparison: pair.id,
+      device: deviceName,
+      pagePath,
+      ...(component && { component }),
+      ...(state && { interactionState: state }),
+      fingerprint: result.diffFingerprint,
+      similarity: Number(result.similarityPercentage.toFixed(4)),
+      acceptedAt: new Date().toISOString().slice(0, 10),
+      ...(options.expires && { expires: options.expires }),
+      ...(options.reason && { reason: options.reason }),
+    });
+    acceptedCount++;
+    console.log(
+      chalk.green(
+        `Accepted the ${pair.id} difference for ${target} on ${deviceName}`
+      )
+    );
+  }
+
+  if (acceptedCount > 0) {
+    writeAcceptedDiffs(entries);
+    console.log(`Commit ${ACCEPTED_DIFFS_PATH} to share the acceptance.`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+// Crawl one or more environments and write the discovered page inventory
+// that the test suite merges into `paths` when `crawler.enabled` is set.
+//
+// Usage: node scripts/crawl.js [environment...]
+//   e.g. node scripts/crawl.js staging prod
+const fs = require("fs");
+const path = require("path");
+const { loadConfig } = require("../utils/config.js");
+const { crawlSite, findMissingPages } = require("../utils/crawler.js");
+
+async function main() {
+  const chalk = (await import("chalk")).default;
+  const config = loadConfig();
+  const crawler = config.crawler || {};
+  const environmentNames =
+    process.argv.slice(2).length > 0
+      ? process.argv.slice(2)
+      : crawler.environments || ["staging", "prod"];
+
+  const pathsByEnvironment = {};
+  for (const name of environmentNames) {
+    const environment = config.environments[name];
+    if (!environment) {
+      throw new Error(`Unknown environment "${name}".`);
+    }
+
+    console.log(chalk.blue(`Crawling ${name}: ${environment.baseUrl}`));
+    pathsByEnvironment[name] = await crawlSite(environment.baseUrl, {
+      ...crawler,
+      log: (message) => console.log(chalk.gray(message)),
+    });
+    console.log(
+      chalk.green(`Found ${pathsByEnvironment[name].length} pages on ${name}.`)
+    );
+  }
+
+  const onlyIn = findMissingPages(pathsByEnvironment);
+  for (const [name, missing] of Object.entries(onlyIn)) {
+    if (environmentNames.length > 1 && missing.length > 0) {
+      console.log(
+        chalk.yellow(`${missing.length} page(s) only found on ${name}:`)
+      );
+      missing.forEach((pagePath) => console.log(chalk.yellow(`  ${pagePath}`)));
+    }
+  }
+
+  const paths = [...new Set(Object.values(pathsByEnvironment).flat())];
+  const outputPath = path.resolve(
+    __dirname,
+    "..",
+    crawler.output || "page-inventory.json"
+  );
+  fs.writeFileSync(
+    outputPath,
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        environments: pathsByEnvironment,
+        onlyIn,
+        paths,
+      },
+      null,
+      2
+    )
+  );
+  console.log(chalk.green(`Page inventory written: ${outputPath}`));
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
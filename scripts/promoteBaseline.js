@@ -0,0 +1,63 @@
+// Promote the latest screenshots of an environment to its approved baseline,
+// used by baseline mode (BASELINE_ENV=<environment> npx playwright test).
+//
+// Usage: node scripts/promoteBaseline.js <environment> [device...]
+//   e.g. node scripts/promoteBaseline.js staging Desktop Mobile
+const fs = require("fs");
+const path = require("path");
+const { BASELINE_ROOT, loadConfig } = require("../utils/config.js");
+
+async function main() {
+  const chalk = (await import("chalk")).default;
+  const config = loadConfig();
+  const [environmentName, ...deviceNames] = process.argv.slice(2);
+
+  if (!environmentName || !config.environments[environmentName]) {
+    throw new Error(
+      `Usage: node scripts/promoteBaseline.js <environment> [device...]\nEnvironments: ${Object.keys(
+        config.environments
+      ).join(", ")}`
+    );
+  }
+
+  const devices =
+    deviceNames.length > 0
+      ? deviceNames
+      : config.devices.map((device) => device.name);
+
+  for (const deviceName of devices) {
+    const sourceDir = path.join("screenshots", deviceName, environmentName);
+    const baselineDir = path.join(BASELINE_ROOT, deviceName, environmentName);
+
+    if (!fs.existsSync(sourceDir)) {
+      console.log(chalk.yellow(`No screenshots found in ${sourceDir}`));
+      continue;
+    }
+
+    // Replace the whole baseline so removed pages do not linger
+    fs.rmSync(baselineDir, { recursive: true, force: true });
+    fs.mkdirSync(baselineDir, { recursive: true });
+
+    // Page screenshots plus the component screenshots in their subfolders
+    const files = fs
+      .readdirSync(sourceDir, { recursive: true })
+      .filter((file) => file.endsWith(".png"));
+    files.forEach((file) => {
+      fs.mkdirSync(path.dirname(path.join(baselineDir, file)), {
+        recursive: true,
+      });
+      fs.copyFileSync(path.join(sourceDir, file), path.join(baselineDir, file));
+    });
+
+    console.log(
+      chalk.green(
+        `Promoted ${files.length} screenshot(s) from ${sourceDir} to ${baselineDir}`
+      )
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
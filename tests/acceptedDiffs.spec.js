@@ -0,0 +1,99 @@
+const { test, expect } = require("@playwright/test");
+const { acceptDiff, getAcceptance } = require("../utils/acceptedDiffs.js");
+const { getResultStatus } = require("../utils/report.js");
+
+const tuition = {
+  comparison: "staging-vs-prod",
+  device: "Desktop",
+  pagePath: "/tuition/",
+};
+
+test.describe("Accepted Differences", () => {
+  test("Match an acceptance by fingerprint and expiry date", () => {
+    const entries = [{ ...tuition, fingerprint: "abc", expires: "2026-03-31" }];
+    const lookup = (fingerprint, date) =>
+      getAcceptance(entries, { ...tuition, fingerprint }, new Date(date));
+
+    expect(lookup("abc", "2026-03-31T23:00:00Z").state).toBe("accepted");
+    expect(lookup("abc", "2026-04-01T00:00:00Z").state).toBe("expired");
+    expect(lookup("def", "2026-03-01T00:00:00Z").state).toBe("changed");
+    expect(
+      getAcceptance(entries, {
+        ...tuition,
+        device: "Mobile",
+        fingerprint: "abc",
+      })
+    ).toBeNull();
+  });
+
+  test("Replace the acceptance for the same page and device", () => {
+    const entries = acceptDiff([{ ...tuition, fingerprint: "abc" }], {
+      ...tuition,
+      fingerprint: "def",
+    });
+    expect(entries).toEqual([{ ...tuition, fingerprint: "def" }]);
+  });
+
+  test("Accept a component diff separately from its page", () => {
+    const hero = { ...tuition, component: "Hero" };
+    const entries = acceptDiff([{ ...tuition, fingerprint: "page" }], {
+      ...hero,
+      fingerprint: "hero",
+    });
+    const component = {
+      name: "Hero",
+      similarityPercentage: 80,
+      passThreshold: 95,
+      acceptance: getAcceptance(entries, { ...hero, fingerprint: "hero" }),
+    };
+
+    expect(entries).toHaveLength(2);
+    expect(getResultStatus(component)).toBe("Accepted");
+    expect(
+      getAcceptance(entries, { ...tuition, fingerprint: "hero" }).state
+    ).toBe("changed");
+    expect(
+      getAcceptance(entries, {
+        ...tuition,
+        component: "Footer",
+        fingerprint: "hero",
+      })
+    ).toBeNull();
+  });
+
+  test("Accept an interaction state diff separately from a component", () => {
+    const menu = { ...tuition, interactionState: "Menu" };
+    const entries = acceptDiff(
+      [{ ...tuition, component: "Menu", fingerprint: "component" }],
+      { ...menu, fingerprint: "state" }
+    );
+    const state = {
+      name: "Menu",
+      similarityPercentage: 70,
+      passThreshold: 95,
+      acceptance: getAcceptance(entries, { ...menu, fingerprint: "state" }),
+    };
+
+    expect(entries).toHaveLength(2);
+    expect(getResultStatus(state)).toBe("Accepted");
+    expect(
+      getAcceptance(entries, {
+        ...tuition,
+        component: "Menu",
+        fingerprint: "state",
+      }).state
+    ).toBe("changed");
+  });
+
+  test("Report an accepted failing diff as Accepted", () => {
+    const result = { similarityPercentage: 90, passThreshold: 95 };
+
+    expect(getResultStatus(result)).toBe("Fail");
+    expect(
+      getResultStatus({ ...result, acceptance: { state: "accepted" } })
+    ).toBe("Accepted");
+    expect(
+      getResultStatus({ ...result, acceptance: { state: "expired" } })
+    ).toBe("Fail");
+  });
+});
@@ -0,0 +1,76 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const http = require("http");
+const {
+  checkPageImages,
+  generateBrokenImageReport,
+} = require("../utils/brokenImages.js");
+
+test.describe("Broken Image Check", () => {
+  let server;
+  let pageUrl;
+
+  test.beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      if (request.url.startsWith("/images/ok.png")) {
+        response.writeHead(200, { "Content-Type": "image/png" }).end("png");
+        return;
+      }
+      response.writeHead(404).end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    pageUrl = `http://127.0.0.1:${server.address().port}/about/`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("Count broken, OK and skipped images accurately", async () => {
+    const result = await checkPageImages(
+      [
+        { index: 1, src: "/images/ok.png", selector: "img#logo" },
+        { index: 2, src: "../images/missing.png", selector: "main > img" },
+        { index: 3, src: null, selector: "footer > img" },
+        {
+          index: 4,
+          src: "https://bat.bing.com/action/0",
+          selector: "body > img",
+        },
+        {
+          index: 5,
+          src: "data:image/gif;base64,R0lGOD",
+          selector: "div > img",
+        },
+      ],
+      pageUrl
+    );
+
+    expect(result).toMatchObject({ total: 5, ok: 1, broken: 2, skipped: 2 });
+    expect(result.images[1]).toMatchObject({
+      url: `${new URL(pageUrl).origin}/images/missing.png`,
+      status: 404,
+      result: "broken",
+    });
+    expect(result.images[2]).toMatchObject({
+      result: "broken",
+      error: "Missing src attribute",
+    });
+  });
+
+  test("List each broken image with its page, status and selector", async () => {
+    const checked = await checkPageImages(
+      [{ index: 1, src: "/images/gone.png", selector: "div.hero > img" }],
+      pageUrl
+    );
+    const reportPath = generateBrokenImageReport(
+      [{ pagePath: "/about/", url: pageUrl, ...checked }],
+      test.info().outputPath("broken_images_report.html")
+    );
+    const html = fs.readFileSync(reportPath, "utf8");
+
+    expect(html).toContain("/images/gone.png");
+    expect(html).toContain('<td class="status-fail">404</td>');
+    expect(html).toContain("<code>div.hero &gt; img</code>");
+  });
+});
@@ -0,0 +1,133 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+const {
+  getComponentScreenshotPath,
+  getPageComponents,
+  compareComponents,
+} = require("../utils/components.js");
+
+const config = {
+  components: [
+    { name: "Header", selector: "header" },
+    {
+      name: "Hero",
+      selector: ".hero",
+      passThreshold: 90,
+      metric: "ssim",
+      exclude: ["/blog/*"],
+    },
+  ],
+};
+const pageOptions = {
+  passThreshold: 95,
+  metric: "pixel",
+  alignRows: true,
+  ignoreRegions: [{ selector: ".ad" }],
+};
+
+test.describe("Components", () => {
+  test("Resolve component options from the page options", () => {
+    const components = getPageComponents(config, "/about/", pageOptions);
+    expect(components.map((component) => component.name)).toEqual([
+      "Header",
+      "Hero",
+    ]);
+    expect(components[0].options).toMatchObject({
+      passThreshold: 95,
+      metric: "pixel",
+      alignRows: false,
+      ignoreRegions: [],
+    });
+    expect(components[1].options).toMatchObject({
+      passThreshold: 90,
+      metric: "ssim",
+    });
+  });
+
+  test("Skip components excluded from a page", () => {
+    const components = getPageComponents(config, "/blog/post/", pageOptions);
+    expect(components.map((component) => component.name)).toEqual(["Header"]);
+  });
+
+  test("Store component screenshots per component beside the page shots", () => {
+    const screenshotPath = getComponentScreenshotPath(
+      "Desktop",
+      "staging",
+      "/about/",
+      "Sticky Footer"
+    );
+    expect(
+      screenshotPath.startsWith(
+        path.join("screenshots", "Desktop", "staging", "components")
+      )
+    ).toBe(true);
+    expect(screenshotPath).not.toBe(
+      getComponentScreenshotPath("Desktop", "staging", "/about/", "Header")
+    );
+  });
+
+  test("Record a failed comparison on its component only", async () => {
+    const image = new PNG({ width: 8, height: 8 });
+    image.data.fill(255);
+    const screenshot = PNG.sync.write(image);
+    const pair = {
+      base: { label: "Staging", color: [255, 165, 0] },
+      target: { label: "Prod", color: [0, 0, 255] },
+    };
+
+    const components = ["Header", "Footer", "Hero"].map((name) => {
+      const artifacts = Object.fromEntries(
+        ["base", "target", "diff"].map((side) => [
+          side,
+          test.info().outputPath(side, `${name}.png`),
+        ])
+      );
+      for (const side of ["base", "target"]) {
+        fs.mkdirSync(path.dirname(artifacts[side]), { recursive: true });
+        fs.writeFileSync(artifacts[side], screenshot);
+      }
+      return {
+        name,
+        selector: name.toLowerCase(),
+        // A typo'd metric makes the Header comparison throw
+        options: {
+          passThreshold: 95,
+          metric: name === "Header" ? "pixle" : "pixel",
+        },
+        artifacts,
+      };
+    });
+    const captured = { found: true, screenshot };
+    const captures = {
+      base: { Header: captured, Footer: captured, Hero: captured },
+      target: {
+        Header: captured,
+        Footer: captured,
+        Hero: { found: false, hidden: true },
+      },
+    };
+
+    const results = await compareComponents(components, captures, pair);
+    expect(
+      results.map(({ name, similarityPercentage, error }) => ({
+        name,
+        similarityPercentage,
+        error,
+      }))
+    ).toEqual([
+      {
+        name: "Header",
+        similarityPercentage: "Error",
+        error: 'Unknown similarity metric "pixle". Use one of: pixel, ssim.',
+      },
+      { name: "Footer", similarityPercentage: 100, error: undefined },
+      {
+        name: "Hero",
+        similarityPercentage: "Error",
+        error: "Component not visible on Prod",
+      },
+    ]);
+  });
+});
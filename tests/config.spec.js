@@ -0,0 +1,175 @@
+const { test, expect } = require("@playwright/test");
+const path = require("path");
+const {
+  loadConfig,
+  getPathProblem,
+  getComparePair,
+} = require("../utils/config.js");
+const { getScreenshotPath } = require("../utils/screenshots.js");
+
+const validConfig = {
+  environments: {
+    dev: { baseUrl: "https://dev.example.com", label: "Dev" },
+    staging: { baseUrl: "https://staging.example.com/" },
+    prod: { baseUrl: "https://www.example.com" },
+  },
+  paths: ["/", "/about/", "/apply/?d=X"],
+  pages: { "/about/": { passThreshold: 99 } },
+};
+
+// Load a config and return the problems it is rejected with, one per line
+function getProblems(config) {
+  try {
+    loadConfig(config);
+    return [];
+  } catch (error) {
+    return error.message
+      .split("\n")
+      .slice(1)
+      .map((line) => line.replace(/^\s+- /, ""));
+  }
+}
+
+test.describe("Config Validation", () => {
+  test("Accept a valid config and normalize environment URLs", () => {
+    const config = loadConfig(validConfig);
+    expect(config.environments.staging.baseUrl).toBe(
+      "https://staging.example.com"
+    );
+    expect(config.paths).toEqual(validConfig.paths);
+  });
+
+  test("Describe malformed, unresolved and relative paths", () => {
+    expect(getPathProblem("/apply/?d=X")).toBeNull();
+    expect(getPathProblem("about/")).toMatch(/must be a string starting/);
+    expect(getPathProblem("//cdn.example.com/")).toMatch(/Malformed/);
+    expect(getPathProblem("/about us/")).toMatch(/Malformed/);
+    expect(getPathProblem("/apply/?d={internal_program_code}")).toMatch(
+      /placeholder/
+    );
+  });
+
+  test("Reject duplicate paths and list every problem at once", () => {
+    expect(
+      getProblems({
+        ...validConfig,
+        paths: ["/", "/about/", "/about/", "/apply/?d={code}"],
+      })
+    ).toEqual([
+      "Duplicate path: /about/",
+      "Path contains an unresolved placeholder: /apply/?d={code}",
+    ]);
+  });
+
+  test("Reject unknown similarity metrics wherever they are set", () => {
+    expect(
+      getProblems({
+        ...validConfig,
+        defaults: { metric: "ssim" },
+        pages: { "/about/": { metric: "pixle" } },
+        components: [{ name: "Hero", selector: ".hero", metric: "SSIM" }],
+        states: [{ name: "Menu open", steps: [], metric: "pixel" }],
+      })
+    ).toEqual([
+      '`pages` override for /about/ has an unknown metric "pixle". Use one of: pixel, ssim.',
+      'Component "Hero" has an unknown metric "SSIM". Use one of: pixel, ssim.',
+    ]);
+    expect(
+      getProblems({ ...validConfig, defaults: { metric: "ssmi" } })
+    ).toEqual([
+      '`defaults` (COMPARE_METRIC) has an unknown metric "ssmi". Use one of: pixel, ssim.',
+    ]);
+  });
+
+  test("Reject a diff worker count that is not a whole number", () => {
+    expect(getProblems({ ...validConfig, diffWorkers: 0 })).toEqual([]);
+    expect(getProblems({ ...validConfig, diffWorkers: Number("abc") })).toEqual(
+      ["`diffWorkers` (DIFF_WORKERS) must be a whole number of 0 or more: NaN"]
+    );
+    expect(getProblems({ ...validConfig, diffWorkers: -2 })).toHaveLength(1);
+  });
+
+  test("Reject page overrides for paths that are not tested", () => {
+    const config = {
+      ...validConfig,
+      pages: { "/about/": {}, "/abuot/": { passThreshold: 99 } },
+    };
+    expect(getProblems(config)).toEqual([
+      "`pages` override for a path not in `paths`: /abuot/",
+    ]);
+
+    // Discovered pages may have overrides too, but must still be valid paths
+    expect(
+      getProblems({
+        ...config,
+        pages: { ...config.pages, "no-slash/": {} },
+        sitemap: { enabled: true },
+      })
+    ).toEqual([
+      '`pages` override: Path must be a string starting with "/": no-slash/',
+    ]);
+  });
+
+  test("Compare the configured environments unless BASE_ENV / TARGET_ENV override them", () => {
+    const config = loadConfig({
+      ...validConfig,
+      compare: { base: "staging", target: "prod" },
+    });
+
+    const pair = getComparePair(config, {});
+    expect(pair.id).toBe("staging-vs-prod");
+    expect(pair.base).toMatchObject({ name: "staging", label: "Staging" });
+    expect(pair.base.baseUrl).toBe("https://staging.example.com");
+
+    const overridden = getComparePair(config, {
+      BASE_ENV: "dev",
+      TARGET_ENV: "staging",
+    });
+    expect(overridden.id).toBe("dev-vs-staging");
+    expect(overridden.base).toMatchObject({ name: "dev", label: "Dev" });
+    expect(overridden.target.name).toBe("staging");
+    expect(getComparePair(config, { TARGET_ENV: "dev" }).id).toBe(
+      "staging-vs-dev"
+    );
+  });
+
+  test("Reject comparing an environment to itself or to an unknown one", () => {
+    const config = loadConfig(validConfig);
+
+    expect(() => getComparePair(config, { BASE_ENV: "prod" })).toThrow(
+      'Cannot compare environment "prod" to itself.'
+    );
+    expect(() => getComparePair(config, { TARGET_ENV: "qa" })).toThrow(
+      'Unknown target environment "qa". Available: dev, staging, prod'
+    );
+  });
+
+  test("Compare an environment to its approved baseline with BASELINE_ENV", () => {
+    const config = loadConfig(validConfig);
+    const pair = getComparePair(config, {
+      BASELINE_ENV: "staging",
+      BASE_ENV: "dev",
+    });
+
+    expect(pair.id).toBe("staging-vs-baseline");
+    expect(pair.base).toMatchObject({
+      name: "baseline",
+      label: "Staging Baseline",
+      isBaseline: true,
+    });
+    expect(pair.target).toMatchObject({ name: "staging", label: "Staging" });
+
+    // Baselines live under the root "baselines" folder, current shots under
+    // "screenshots", both in the environment's own folder
+    const directory = (side) =>
+      path.dirname(
+        getScreenshotPath("Desktop", side.folder, "/about/", side.root)
+      );
+    expect(directory(pair.base)).toBe(
+      path.join("baselines", "Desktop", "staging")
+    );
+    expect(directory(pair.target)).toBe(
+      path.join("screenshots", "Desktop", "staging")
+    );
+  });
+});
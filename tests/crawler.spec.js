@@ -0,0 +1,132 @@
+const { test, expect } = require("@playwright/test");
+const http = require("http");
+const {
+  normalizePagePath,
+  extractLinks,
+  crawlSite,
+  findMissingPages,
+} = require("../utils/crawler.js");
+
+// Minimal local site: / -> /about/, /degrees/ -> /degrees/general/
+const fixturePages = {
+  "/": `<a href="/about/">About</a>
+        <a href="/degrees/?utm_source=nav#top">Degrees</a>
+        <a href="https://example.com/">External</a>
+        <a href="/wp-content/uploads/guide.pdf">Guide</a>`,
+  "/about/": `<a href="/">Home</a> <a href='/apply/?d=URI-B-RNBS&amp;ref=about'>Apply</a>`,
+  "/degrees/": `<a href="general/">General</a>`,
+  "/degrees/general/": `<a href="/degrees/">Back</a>`,
+  "/apply/": `<p>Apply</p>`,
+};
+
+test.describe("Internal Link Crawler", () => {
+  let server;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    server = http.createServer((request, response) => {
+      const { pathname } = new URL(request.url, "http://localhost");
+      if (!fixturePages[pathname]) {
+        response.writeHead(404).end();
+        return;
+      }
+      response.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      response.end(`<html><body>${fixturePages[pathname]}</body></html>`);
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("Normalize query strings, keeping meaningful parameters", () => {
+    expect(
+      normalizePagePath(
+        "https://online.sheridancollege.ca/apply/?d=URI-B-RNBS&utm_source=x#form",
+        ["d"]
+      )
+    ).toBe("/apply/?d=URI-B-RNBS");
+    expect(
+      normalizePagePath("https://online.sheridancollege.ca/about/?p=2")
+    ).toBe("/about/");
+  });
+
+  test("Extract only same-origin page links", () => {
+    expect(extractLinks(fixturePages["/"], "https://site.test/")).toEqual([
+      "https://site.test/about/",
+      "https://site.test/degrees/?utm_source=nav#top",
+    ]);
+  });
+
+  test("Crawl up to the configured depth and page limit", async () => {
+    const options = { keepQueryParams: ["d"] };
+
+    expect(await crawlSite(baseUrl, { ...options, maxDepth: 1 })).toEqual([
+      "/",
+      "/about/",
+      "/degrees/",
+    ]);
+    expect(await crawlSite(baseUrl, { ...options, maxDepth: 3 })).toEqual([
+      "/",
+      "/about/",
+      "/degrees/",
+      "/apply/?d=URI-B-RNBS",
+      "/degrees/general/",
+    ]);
+    expect(await crawlSite(baseUrl, { ...options, maxPages: 2 })).toEqual([
+      "/",
+      "/about/",
+    ]);
+  });
+
+  test("Record redirected links under the page they land on", async () => {
+    const listen = async (handler) => {
+      const site = http.createServer(handler);
+      await new Promise((resolve) => site.listen(0, "127.0.0.1", resolve));
+      return site;
+    };
+    const offSite = await listen((request, response) => {
+      response.writeHead(200, { "Content-Type": "text/html" }).end("Elsewhere");
+    });
+    const redirects = {
+      "/old-about/": "/about/",
+      "/renamed/": "/renamed-page/",
+      "/leaving/": `http://127.0.0.1:${offSite.address().port}/`,
+    };
+    const pages = {
+      "/": `<a href="/about/">About</a> <a href="/old-about/">Old about</a>
+            <a href="/renamed/">Renamed</a> <a href="/leaving/">Leaving</a>`,
+      "/about/": "About",
+      "/renamed-page/": "Renamed",
+    };
+    const site = await listen((request, response) => {
+      const { pathname } = new URL(request.url, "http://localhost");
+      if (redirects[pathname]) {
+        response.writeHead(301, { Location: redirects[pathname] }).end();
+      } else {
+        response.writeHead(200, { "Content-Type": "text/html" });
+        response.end(pages[pathname]);
+      }
+    });
+
+    try {
+      expect(
+        await crawlSite(`http://127.0.0.1:${site.address().port}`)
+      ).toEqual(["/", "/about/", "/renamed-page/"]);
+    } finally {
+      await new Promise((resolve) => site.close(resolve));
+      await new Promise((resolve) => offSite.close(resolve));
+    }
+  });
+
+  test("Report pages that exist on only one environment", () => {
+    expect(
+      findMissingPages({
+        staging: ["/", "/tuition/", "/new-degree/"],
+        prod: ["/", "/tuition/", "/retired-page/"],
+      })
+    ).toEqual({ staging: ["/new-degree/"], prod: ["/retired-page/"] });
+  });
+});
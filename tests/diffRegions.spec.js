@@ -0,0 +1,58 @@
+const { test, expect } = require("@playwright/test");
+const { PNG } = require("pngjs");
+const {
+  getAnnotatedPath,
+  findDiffRegions,
+  drawRegionBoxes,
+  cropRegion,
+} = require("../utils/diffRegions.js");
+
+// Build a pixelmatch-style mask with the given rectangles marked as changed
+function maskWith(width, height, rects) {
+  const mask = new PNG({ width, height });
+  for (const { x, y, width: w, height: h } of rects) {
+    for (let row = y; row < y + h; row++) {
+      for (let col = x; col < x + w; col++) {
+        mask.data[(row * width + col) * 4 + 3] = 255;
+      }
+    }
+  }
+  return mask;
+}
+
+test.describe("Diff Regions", () => {
+  test("Cluster nearby mismatches and keep distant ones apart", () => {
+    const mask = maskWith(200, 400, [
+      { x: 10, y: 300, width: 20, height: 10 },
+      { x: 10, y: 10, width: 20, height: 10 },
+      { x: 40, y: 12, width: 5, height: 5 },
+    ]);
+
+    expect(findDiffRegions(mask.data, 200, 400)).toEqual([
+      { x: 10, y: 10, width: 35, height: 10, pixels: 225 },
+      { x: 10, y: 300, width: 20, height: 10, pixels: 200 },
+    ]);
+    expect(findDiffRegions(mask.data, 200, 400, { gap: 0 })).toHaveLength(3);
+    expect(
+      findDiffRegions(new PNG({ width: 50, height: 50 }).data, 50, 50)
+    ).toEqual([]);
+  });
+
+  test("Draw boxes around regions and crop snippets", () => {
+    const image = new PNG({ width: 100, height: 100 });
+    image.data.fill(255);
+    drawRegionBoxes(image, [{ x: 20, y: 20, width: 10, height: 10 }]);
+
+    const pixel = (x, y) => [
+      ...image.data.slice((y * 100 + x) * 4, (y * 100 + x) * 4 + 4),
+    ];
+    expect(pixel(19, 25)).toEqual([255, 0, 0, 255]);
+    expect(pixel(25, 25)).toEqual([255, 255, 255, 255]);
+
+    const crop = cropRegion(image, { x: 90, y: 0, width: 10, height: 10 });
+    expect([crop.width, crop.height]).toEqual([50, 50]);
+    expect(getAnnotatedPath("screenshots/Desktop/diff/a/home-1.png")).toBe(
+      "screenshots/Desktop/diff/a/home-1-regions.png"
+    );
+  });
+});
@@ -0,0 +1,71 @@
+const { test, expect } = require("@playwright/test");
+const { toJUnitXml } = require("../utils/exporters.js");
+
+// The <testcase> element of the case with the given name
+function getTestCase(xml, name) {
+  return xml.match(
+    new RegExp(`<testcase name="${name}"[^>]*>[\\s\\S]*?</testcase>`)
+  )[0];
+}
+
+test.describe("Result Exports", () => {
+  const cases = [
+    { name: "pass", status: "Pass", durationMs: 1500 },
+    { name: "accepted", status: "Accepted" },
+    { name: "fail", status: "Fail", message: "90% similar, below 95%" },
+    { name: "error", status: "Error" },
+    { name: "skipped", status: "Skipped", message: "Chromium only" },
+  ];
+
+  test("Count each status on the suite", () => {
+    const xml = toJUnitXml("Visual Comparison", cases);
+
+    expect(xml).toMatch(
+      /<testsuite name="Visual Comparison" tests="5" failures="1" errors="1" skipped="1"/
+    );
+    expect(getTestCase(xml, "pass")).toContain('time="1.500"');
+  });
+
+  test("Report failures, errors and skips with their own elements", () => {
+    const xml = toJUnitXml("Visual Comparison", cases);
+
+    expect(getTestCase(xml, "fail")).toContain(
+      '<failure message="90% similar, below 95%"/>'
+    );
+    expect(getTestCase(xml, "error")).toContain('<error message="Error"/>');
+    expect(getTestCase(xml, "skipped")).toContain(
+      '<skipped message="Chromium only"/>'
+    );
+    for (const name of ["pass", "accepted"]) {
+      expect(getTestCase(xml, name)).not.toMatch(/<(failure|error|skipped)/);
+    }
+  });
+
+  test("Escape names, messages, properties and attachments", () => {
+    const xml = toJUnitXml("Pages <staging & prod>", [
+      {
+        name: `/apply/?d=X&calculator="true"`,
+        classname: "visual.Desktop",
+        status: "Fail",
+        message: "Can't load <img>",
+        properties: { selector: "nav > a[href='/']", empty: null },
+        artifacts: { diff: "screenshots/a&b.png", annotated: undefined },
+      },
+    ]);
+
+    expect(xml).toContain(
+      '<testsuites name="Pages &lt;staging &amp; prod&gt;">'
+    );
+    expect(xml).toContain(
+      '<testcase name="/apply/?d=X&amp;calculator=&quot;true&quot;" classname="visual.Desktop"'
+    );
+    expect(xml).toContain('<failure message="Can&apos;t load &lt;img&gt;"/>');
+    expect(xml).toContain(
+      '<property name="selector" value="nav &gt; a[href=&apos;/&apos;]"/>'
+    );
+    expect(xml).not.toContain('name="empty"');
+    expect(xml).toContain(
+      "<system-out>[[ATTACHMENT|screenshots/a&amp;b.png]]</system-out>"
+    );
+  });
+});
@@ -0,0 +1,31 @@
+const { test, expect } = require("@playwright/test");
+const { getPageSlug } = require("../utils/fileNames.js");
+
+test.describe("Page File Names", () => {
+  test("Build a readable, deterministic slug with a hash suffix", () => {
+    expect(getPageSlug("/degrees/undergraduate/")).toMatch(
+      /^degrees-undergraduate-[0-9a-f]{8}$/
+    );
+    expect(getPageSlug("/")).toMatch(/^home-[0-9a-f]{8}$/);
+    expect(getPageSlug("/About/")).toBe(getPageSlug("/About/"));
+  });
+
+  test("Keep only filesystem-safe characters and cap the length", () => {
+    const slug = getPageSlug(
+      `/apply/?d={internal_program_code}&calculator=true#${"x".repeat(200)}`
+    );
+
+    expect(slug).toMatch(/^[a-z0-9-]+$/);
+    expect(slug.length).toBeLessThanOrEqual(60 + 9);
+    expect(slug).toMatch(/^apply-d-internal-program-code-calculator-true-x+-/);
+  });
+
+  test("Never collide on paths that slugify the same", () => {
+    const withSlash = getPageSlug("/apply/?d=URI-B-RNBS");
+    const withoutSlash = getPageSlug("/apply?d=URI-B-RNBS");
+
+    expect(withSlash).not.toBe(withoutSlash);
+    expect(withSlash.slice(0, -9)).toBe(withoutSlash.slice(0, -9));
+    expect(getPageSlug("/About/")).not.toBe(getPageSlug("/about/"));
+  });
+});
@@ -0,0 +1,4 @@
+const { parentPort } = require("worker_threads");
+
+// Diff worker stand-in that exits without an error on its first task
+parentPort.on("message", () => process.exit(3));
@@ -0,0 +1,17 @@
+const { loadConfig, getComparePair } = require("../utils/config.js");
+const {
+  resolvePagePaths,
+  writePageInventory,
+} = require("../utils/pageInventory.js");
+const { startRun } = require("../utils/results.js");
+
+// Resolve the page list once (sitemap and crawl sources are async) and mark
+// the start of the run. Results of earlier runs are only replaced in
+// teardown, once this run has written its own.
+module.exports = async () => {
+  const config = loadConfig();
+  getComparePair(config); // Fail fast on an invalid BASE_ENV / TARGET_ENV
+
+  writePageInventory(await resolvePagePaths(config));
+  startRun();
+};
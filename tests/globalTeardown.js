@@ -0,0 +1,53 @@
+const path = require("path");
+const { loadConfig, getComparePair } = require("../utils/config.js");
+const {
+  RESULTS_ROOT,
+  readPageResults,
+  readCaseResults,
+  writeRunManifest,
+  getRunStartedAt,
+  keepRunResults,
+} = require("../utils/results.js");
+const { generateHtmlReport, toVisualTestCases } = require("../utils/report.js");
+const { writeResultExports } = require("../utils/exporters.js");
+const { recordRunHistory } = require("../utils/history.js");
+
+// Aggregate the per-page results written by every worker into the run
+// manifest, one HTML report per device, the JSON/JUnit exports and the run
+// history behind the trend dashboard. Runs that compared no pages (e.g. only
+// the unit specs) leave the previous run's results and exports in place.
+module.exports = async () => {
+  const config = loadConfig();
+  const pair = getComparePair(config);
+  const startedAt = getRunStartedAt();
+
+  if (keepRunResults(path.join(RESULTS_ROOT, pair.id), startedAt)) {
+    const resultsByDevice = readPageResults(pair);
+
+    writeRunManifest(pair, resultsByDevice);
+
+    for (const [deviceName, results] of Object.entries(resultsByDevice)) {
+      await generateHtmlReport(results, deviceName, pair, config);
+    }
+
+    writeResultExports(
+      path.join(RESULTS_ROOT, pair.id),
+      `Visual Comparison (${pair.id})`,
+      toVisualTestCases(resultsByDevice, pair)
+    );
+
+    const history = config.history || {};
+    if (history.enabled !== false) {
+      recordRunHistory(history, pair, resultsByDevice);
+    }
+  }
+
+  if (keepRunResults(path.join(RESULTS_ROOT, "page-tests"), startedAt)) {
+    const pageTestCases = readCaseResults("page-tests");
+    writeResultExports(
+      path.join(RESULTS_ROOT, "page-tests"),
+      "Page Tests",
+      pageTestCases
+    );
+  }
+};
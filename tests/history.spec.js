@@ -0,0 +1,108 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const path = require("path");
+const {
+  toHistoryRecord,
+  appendRunHistory,
+  readRunHistory,
+  getStatusChanges,
+  getPageTrends,
+} = require("../utils/history.js");
+
+const pair = {
+  id: "staging-vs-prod",
+  base: { baseUrl: "https://staging.test" },
+  target: { baseUrl: "https://prod.test" },
+};
+
+// Build a history record from `{ pagePath: similarity }` for the Desktop device
+function runOf(similarities, generatedAt) {
+  return toHistoryRecord(
+    pair,
+    {
+      Desktop: Object.entries(similarities).map(([pagePath, similarity]) => ({
+        pagePath,
+        similarityPercentage: similarity,
+        passThreshold: 95,
+      })),
+    },
+    new Date(generatedAt)
+  );
+}
+
+test.describe("Run History", () => {
+  test("Summarize a run into a history record", () => {
+    const record = runOf(
+      { "/": 99.5, "/tuition/": 90, "/apply/": "Error" },
+      "2026-01-01T00:00:00Z"
+    );
+
+    expect(record.comparison).toBe("staging-vs-prod");
+    expect(record.summary).toEqual({
+      total: 3,
+      passed: 1,
+      failed: 1,
+      errors: 1,
+      accepted: 0,
+    });
+    expect(record.pages[2]).toEqual({
+      device: "Desktop",
+      pagePath: "/apply/",
+      similarity: null,
+      threshold: 95,
+      status: "Error",
+    });
+  });
+
+  test("Append runs as JSON lines and read them back per comparison", () => {
+    const historyPath = test.info().outputPath("runs.jsonl");
+    appendRunHistory(historyPath, runOf({ "/": 99 }, "2026-01-01T00:00:00Z"));
+    appendRunHistory(historyPath, {
+      ...runOf({ "/": 98 }, "2026-01-02T00:00:00Z"),
+      comparison: "dev-vs-prod",
+    });
+    fs.appendFileSync(historyPath, '{"truncated');
+
+    expect(fs.readFileSync(historyPath, "utf8").split("\n")).toHaveLength(3);
+    expect(readRunHistory(historyPath)).toHaveLength(2);
+    expect(
+      readRunHistory(historyPath, "staging-vs-prod").map((r) => r.generatedAt)
+    ).toEqual(["2026-01-01T00:00:00.000Z"]);
+    expect(
+      readRunHistory(path.join(path.dirname(historyPath), "missing.jsonl"))
+    ).toEqual([]);
+  });
+
+  test("Find newly failing and recovered pages between runs", () => {
+    const previous = runOf(
+      { "/": 99, "/tuition/": 90, "/about/": 99 },
+      "2026-01-01T00:00:00Z"
+    );
+    const current = runOf(
+      { "/": "Error", "/tuition/": 97, "/about/": 99, "/new/": 50 },
+      "2026-01-02T00:00:00Z"
+    );
+
+    const { newlyFailing, recovered } = getStatusChanges(previous, current);
+    expect(newlyFailing.map((p) => p.pagePath)).toEqual(["/"]);
+    expect(recovered.map((p) => p.pagePath)).toEqual(["/tuition/"]);
+    expect(getStatusChanges(undefined, current)).toEqual({
+      newlyFailing: [],
+      recovered: [],
+    });
+  });
+
+  test("Group similarity over time by device and page", () => {
+    const trends = getPageTrends([
+      runOf({ "/tuition/": 99 }, "2026-01-01T00:00:00Z"),
+      runOf({ "/": 98 }, "2026-01-02T00:00:00Z"),
+      runOf({ "/tuition/": 96, "/": 97 }, "2026-01-03T00:00:00Z"),
+    ]);
+
+    expect(trends.map((t) => t.pagePath)).toEqual(["/", "/tuition/"]);
+    expect(trends[1].points.map((p) => [p.runIndex, p.similarity])).toEqual([
+      [0, 99],
+      [2, 96],
+    ]);
+  });
+});
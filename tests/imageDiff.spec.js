@@ -0,0 +1,174 @@
+const { test, expect } = require("@playwright/test");
+const path = require("path");
+const { PNG } = require("pngjs");
+const { diffImages } = require("../utils/imageDiff.js");
+const {
+  createDiffPool,
+  configureDiffPool,
+  runDiff,
+} = require("../utils/diffPool.js");
+const { getDiffFingerprint } = require("../utils/diffRegions.js");
+const { getResultStatus } = require("../utils/report.js");
+
+const WIDTH = 64;
+const HEIGHT = 48;
+const options = { pixelmatchThreshold: 0.1, includeAA: false };
+const colors = { base: [255, 165, 0], target: [0, 0, 255] };
+
+// Encode a white image with a dark square at (x, y)
+function imageWithSquare(x, y, size = 10) {
+  const image = new PNG({ width: WIDTH, height: HEIGHT });
+  image.data.fill(255);
+  for (let row = y; row < y + size; row++) {
+    for (let col = x; col < x + size; col++) {
+      image.data.set([20, 20, 20, 255], (row * WIDTH + col) * 4);
+    }
+  }
+  return PNG.sync.write(image);
+}
+
+// Fingerprint of the mask from a separate `diffMask` pixelmatch pass, as
+// diffs were fingerprinted before the mask was read from the diff image
+async function getTwoPassFingerprint(base, target) {
+  const pixelmatch = (await import("pixelmatch")).default;
+  const mask = new PNG({ width: WIDTH, height: HEIGHT });
+  pixelmatch(
+    PNG.sync.read(base).data,
+    PNG.sync.read(target).data,
+    mask.data,
+    WIDTH,
+    HEIGHT,
+    { threshold: options.pixelmatchThreshold, diffMask: true }
+  );
+  return getDiffFingerprint(mask);
+}
+
+test.describe("Image Diff", () => {
+  const base = imageWithSquare(5, 5);
+  const target = imageWithSquare(50, 34);
+
+  test("Diff in one pass with the fingerprint of a separate mask pass", async () => {
+    const result = await diffImages({ base, target, options, colors });
+
+    expect(result.pixelSimilarity).toBeCloseTo(
+      ((WIDTH * HEIGHT - 200) / (WIDTH * HEIGHT)) * 100,
+      6
+    );
+    expect(result.diffRegions).toHaveLength(2);
+    expect(result.diffFingerprint).toBe(
+      await getTwoPassFingerprint(base, target)
+    );
+    expect(Object.keys(result.timings)).toEqual([
+      "decodeMs",
+      "alignMs",
+      "diffMs",
+      "ssimMs",
+      "encodeMs",
+    ]);
+  });
+
+  test("Count content missing from the shorter image as a difference", async () => {
+    const blank = (height) => {
+      const image = new PNG({ width: WIDTH, height });
+      image.data.fill(255);
+      return PNG.sync.write(image);
+    };
+
+    for (const alignRows of [false, true]) {
+      const result = await diffImages({
+        base: blank(HEIGHT),
+        target: blank(HEIGHT + 20),
+        options: { ...options, alignRows },
+        colors,
+      });
+
+      expect(result.heightDelta).toBe(20);
+      expect(result.pixelSimilarity).toBeCloseTo(
+        (HEIGHT / (HEIGHT + 20)) * 100,
+        6
+      );
+      expect(result.ssimSimilarity).toBeLessThan(100);
+      expect(result.diffRegions).toHaveLength(1);
+      expect(
+        getResultStatus({
+          similarityPercentage: result.pixelSimilarity,
+          passThreshold: 95,
+        })
+      ).toBe("Fail");
+    }
+  });
+
+  test("Fall back to a mask pass when diff colors are ambiguous", async () => {
+    const result = await diffImages({
+      base,
+      target,
+      options,
+      colors: { base: [255, 255, 0], target: [240, 240, 240] },
+    });
+
+    expect(result.diffFingerprint).toBe(
+      await getTwoPassFingerprint(base, target)
+    );
+  });
+
+  test("Return the same result from a worker thread", async () => {
+    configureDiffPool(0);
+    const {
+      timings: inlineTimings,
+      diffImage: inlineDiff,
+      annotatedImage: inlineAnnotated,
+      ...inline
+    } = await runDiff({
+      base,
+      target,
+      options,
+      colors,
+    });
+    configureDiffPool(2);
+    const pooled = await Promise.all(
+      [0, 1, 2].map(() => runDiff({ base, target, options, colors }))
+    );
+    configureDiffPool(0);
+
+    expect(inlineTimings.queueMs).toBe(0);
+    for (const { timings, diffImage, annotatedImage, ...result } of pooled) {
+      expect(result).toEqual(inline);
+      expect(Buffer.from(diffImage).equals(inlineDiff)).toBe(true);
+      expect(Buffer.from(annotatedImage).equals(inlineAnnotated)).toBe(true);
+      expect(timings.queueMs).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  test("Fail tasks rather than keep replacing workers that cannot start", async () => {
+    const pool = createDiffPool(2, path.join(__dirname, "missing-worker.js"));
+    const task = { base, target, options, colors };
+
+    const outcomes = await Promise.allSettled(
+      [0, 1, 2, 3, 4, 5].map(() => pool.run(task))
+    );
+    for (const outcome of outcomes) {
+      expect(outcome.status).toBe("rejected");
+      expect(outcome.reason.message).toMatch(/Cannot find module/);
+    }
+    await expect(pool.run(task)).rejects.toThrow(/Cannot find module/);
+    await pool.close();
+  });
+
+  test("Fail the task of a worker that exits without an error", async () => {
+    const pool = createDiffPool(
+      1,
+      path.join(__dirname, "fixtures", "exitingDiffWorker.js")
+    );
+    const task = { base, target, options, colors };
+
+    const outcomes = await Promise.allSettled(
+      [0, 1, 2, 3, 4].map(() => pool.run(task))
+    );
+    for (const outcome of outcomes) {
+      expect(outcome.status).toBe("rejected");
+      expect(outcome.reason.message).toBe("Diff worker exited with code 3");
+    }
+    await expect(pool.run(task)).rejects.toThrow(/exited with code 3/);
+    await pool.close();
+  });
+});
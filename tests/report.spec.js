@@ -0,0 +1,115 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { PNG } = require("pngjs");
+const { generateHtmlReport } = require("../utils/report.js");
+const { RESULTS_ROOT, writeRunManifest } = require("../utils/results.js");
+
+const pair = {
+  id: "report-spec",
+  base: {
+    name: "staging",
+    label: "Staging",
+    baseUrl: "https://staging.test",
+    color: [255, 165, 0],
+  },
+  target: {
+    name: "prod",
+    label: "Prod",
+    baseUrl: "https://prod.test",
+    color: [0, 0, 255],
+  },
+};
+const reportPath = `visual_comparison_report_${pair.id}_Desktop.html`;
+const assetsDir = reportPath.replace(/\.html$/, "_files");
+
+// Write a white PNG screenshot of the given size
+function writeScreenshot(filePath, width, height) {
+  const image = new PNG({ width, height });
+  image.data.fill(255);
+  fs.writeFileSync(filePath, PNG.sync.write(image));
+  return filePath;
+}
+
+test.describe("HTML Report", () => {
+  let result;
+
+  test.beforeEach(() => {
+    result = {
+      pagePath: "/about/",
+      similarityPercentage: 100,
+      passThreshold: 95,
+      artifacts: {
+        pagePath: "/about/",
+        device: "Desktop",
+        base: {
+          url: "https://staging.test/about/",
+          screenshot: writeScreenshot(
+            test.info().outputPath("base.png"),
+            800,
+            600
+          ),
+        },
+        target: {
+          url: "https://prod.test/about/",
+          screenshot: writeScreenshot(
+            test.info().outputPath("target.png"),
+            800,
+            600
+          ),
+        },
+        diff: test.info().outputPath("missing-diff.png"),
+        annotated: test.info().outputPath("missing-annotated.png"),
+      },
+    };
+    writeRunManifest(pair, { Desktop: [result] });
+  });
+
+  test.afterEach(() => {
+    for (const output of [
+      reportPath,
+      assetsDir,
+      path.join(RESULTS_ROOT, pair.id),
+    ]) {
+      fs.rmSync(output, { recursive: true, force: true });
+    }
+  });
+
+  test("Link thumbnails to full-size copies next to the report", async () => {
+    await generateHtmlReport([result], "Desktop", pair, {
+      report: { mode: "thumbnails", thumbnailWidth: 200 },
+    });
+    const html = fs.readFileSync(reportPath, "utf8");
+
+    const thumbnail = html.match(
+      new RegExp(`src="(${assetsDir}/thumbs/[^"]+-base\\.jpg)"`)
+    )[1];
+    const full = html.match(
+      new RegExp(`data-full="(${assetsDir}/full/[^"]+-base\\.png)"`)
+    )[1];
+    expect(await sharp(thumbnail).metadata()).toMatchObject({
+      format: "jpeg",
+      width: 200,
+      height: 150,
+    });
+    expect(
+      fs
+        .readFileSync(full)
+        .equals(fs.readFileSync(result.artifacts.base.screenshot))
+    ).toBe(true);
+    expect(html).toContain(`<a href="${full}" target="_blank">Staging</a>`);
+    expect(html).not.toContain("data:image/");
+  });
+
+  test("Embed full images in embedded mode without an assets folder", async () => {
+    await generateHtmlReport([result], "Desktop", pair, {
+      report: { mode: "embedded" },
+    });
+    const html = fs.readFileSync(reportPath, "utf8");
+
+    expect(html.match(/src="data:image\/png;base64,/g)).toHaveLength(2);
+    expect(html).not.toContain(assetsDir);
+    expect(fs.existsSync(assetsDir)).toBe(false);
+  });
+});
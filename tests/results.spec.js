@@ -0,0 +1,70 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const path = require("path");
+const {
+  RESULTS_ROOT,
+  writePageResult,
+  readPageResults,
+  keepRunResults,
+} = require("../utils/results.js");
+
+// Write a result file last modified at `mtime`
+function writeResult(filePath, result, mtime) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(result));
+  fs.utimesSync(filePath, mtime, mtime);
+}
+
+test.describe("Run Results", () => {
+  const startedAt = new Date("2026-10-01T12:00:00Z");
+  const before = new Date("2026-09-30T12:00:00Z");
+  const after = new Date("2026-10-01T12:05:00Z");
+
+  test("Replace the previous run's results once this run wrote its own", () => {
+    const dir = test.info().outputPath("pair");
+    writeResult(path.join(dir, "Desktop", "old.json"), {}, before);
+    writeResult(path.join(dir, "Desktop", "new.json"), {}, after);
+    writeResult(path.join(dir, "Mobile", "old.json"), {}, before);
+    writeResult(path.join(dir, "manifest.json"), {}, before);
+
+    expect(keepRunResults(dir, startedAt.getTime())).toBe(true);
+    expect(fs.readdirSync(path.join(dir, "Desktop"))).toEqual(["new.json"]);
+    expect(fs.existsSync(path.join(dir, "Mobile"))).toBe(false);
+    expect(fs.existsSync(path.join(dir, "manifest.json"))).toBe(true);
+  });
+
+  test("Keep the previous run's results when this run wrote none", () => {
+    const dir = test.info().outputPath("pair");
+    writeResult(path.join(dir, "Desktop", "old.json"), {}, before);
+
+    expect(keepRunResults(dir, startedAt.getTime())).toBe(false);
+    expect(keepRunResults(test.info().outputPath("missing"), 0)).toBe(false);
+    expect(fs.readdirSync(path.join(dir, "Desktop"))).toEqual(["old.json"]);
+  });
+
+  test("Read results per device, leaving out empty device folders", () => {
+    const pair = { id: `results-spec-${test.info().workerIndex}` };
+    const pairDir = path.join(RESULTS_ROOT, pair.id);
+    fs.rmSync(pairDir, { recursive: true, force: true });
+
+    try {
+      writePageResult(pair, "Desktop", { pagePath: "/", result: "Pass" });
+      writePageResult(pair, "Desktop", { pagePath: "/about/" });
+      writePageResult(pair, "Mobile", { pagePath: "/" });
+      fs.mkdirSync(path.join(pairDir, "Tablet"));
+      fs.writeFileSync(path.join(pairDir, "manifest.json"), "{}");
+
+      const resultsByDevice = readPageResults(pair);
+      expect(Object.keys(resultsByDevice).sort()).toEqual([
+        "Desktop",
+        "Mobile",
+      ]);
+      expect(
+        resultsByDevice.Desktop.map((result) => result.pagePath).sort()
+      ).toEqual(["/", "/about/"]);
+      expect(readPageResults({ id: "results-spec-missing" })).toEqual({});
+    } finally {
+      fs.rmSync(pairDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,117 @@
+const { test, expect } = require("@playwright/test");
+const { PNG } = require("pngjs");
+const { alignRows, describeRowShift } = require("../utils/rowAlignment.js");
+const { diffImages } = require("../utils/imageDiff.js");
+
+// Build an image from a list of row colors, one [r, g, b] per row
+function imageFromRows(rows, width = 20) {
+  const image = new PNG({ width, height: rows.length });
+  rows.forEach(([r, g, b], y) => {
+    for (let x = 0; x < width; x++) {
+      image.data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  });
+  return image;
+}
+
+// Distinct content rows, like a page with no repeated lines
+const pageRows = Array.from({ length: 200 }, (_, y) => [y, (y * 7) % 256, 90]);
+const banner = Array.from({ length: 30 }, () => [255, 0, 0]);
+
+test.describe("Row Alignment", () => {
+  test("Detect an inserted band and line up the content below it", () => {
+    const base = imageFromRows(pageRows);
+    const target = imageFromRows([
+      ...pageRows.slice(0, 50),
+      ...banner,
+      ...pageRows.slice(50),
+    ]);
+
+    const aligned = alignRows(base, target, 200, 230);
+    expect(aligned.shifts).toEqual([{ type: "inserted", y: 50, height: 30 }]);
+    expect(describeRowShift(aligned.shifts[0])).toBe("inserted 30 px at y=50");
+    expect(aligned.height).toBe(230);
+
+    // Only the banner rows differ once aligned
+    const rowBytes = 20 * 4;
+    const differingRows = [];
+    for (let y = 0; y < aligned.height; y++) {
+      const start = y * rowBytes;
+      if (
+        !aligned.base.data
+          .subarray(start, start + rowBytes)
+          .equals(aligned.target.data.subarray(start, start + rowBytes))
+      ) {
+        differingRows.push(y);
+      }
+    }
+    expect(differingRows).toEqual(Array.from({ length: 30 }, (_, i) => 50 + i));
+  });
+
+  test("Detect a removed band and map ignored pixels onto aligned rows", () => {
+    const base = imageFromRows(pageRows);
+    const target = imageFromRows([
+      ...pageRows.slice(0, 120),
+      ...pageRows.slice(140),
+    ]);
+    const covered = new Uint8Array(20 * 200);
+    // Row 150 on both sides: base row 150 and target row 150 (base row 170)
+    covered.fill(1, 150 * 20, 151 * 20);
+
+    const aligned = alignRows(base, target, 200, 180, covered);
+    expect(aligned.shifts).toEqual([{ type: "removed", y: 120, height: 20 }]);
+    expect(aligned.height).toBe(200);
+    expect(aligned.ignoredPixels).toBe(40);
+    expect(aligned.covered[150 * 20]).toBe(1);
+    expect(aligned.covered[170 * 20]).toBe(1);
+    expect(aligned.rows[170]).toEqual([170, 150]);
+    expect(aligned.rows[125]).toEqual([125, -1]);
+  });
+
+  test("Combine ignore regions with a shift and crop regions per side", async () => {
+    const base = imageFromRows(pageRows);
+    const target = imageFromRows([
+      ...pageRows.slice(0, 50),
+      ...banner,
+      ...pageRows.slice(50, 150),
+      ...Array.from({ length: 3 }, () => [0, 0, 0]), // Edited rows
+      ...pageRows.slice(153),
+    ]);
+
+    // The region covers base rows 100-110 and target rows 100-110, which
+    // align with different rows on the other side
+    const result = await diffImages({
+      base: PNG.sync.write(base),
+      target: PNG.sync.write(target),
+      options: {
+        pixelmatchThreshold: 0.1,
+        includeAA: false,
+        alignRows: true,
+        ignoreRegions: [{ x: 0, y: 100, width: 20, height: 11 }],
+      },
+      colors: { base: [255, 165, 0], target: [0, 0, 255] },
+    });
+
+    expect(result.rowShifts).toEqual([{ type: "inserted", y: 50, height: 30 }]);
+    // Both covered bands are ignored on both sides; only the banner and the
+    // edited rows mismatch
+    expect(result.ignoredPixels).toBe(22 * 20);
+    expect(result.pixelSimilarity).toBeCloseTo(((208 - 33) / 208) * 100, 6);
+    expect(
+      result.diffRegions.map(({ y, height, base, target }) => ({
+        y,
+        height,
+        base,
+        target,
+      }))
+    ).toEqual([
+      { y: 50, height: 30, base: null, target: { y: 50, height: 30 } },
+      {
+        y: 180,
+        height: 3,
+        base: { y: 150, height: 3 },
+        target: { y: 180, height: 3 },
+      },
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+const { test, expect } = require("@playwright/test");
+const fs = require("fs");
+const path = require("path");
+const {
+  parseSitemap,
+  matchesFilters,
+  getSitemapPaths,
+} = require("../utils/sitemap.js");
+const { mergePagePaths } = require("../utils/pageInventory.js");
+
+const fixtureDir = path.join("tests", "fixtures", "sitemap");
+
+test.describe("Sitemap URL Discovery", () => {
+  test("Parse a sitemap index and a urlset", () => {
+    const index = parseSitemap(
+      fs.readFileSync(path.join(fixtureDir, "sitemap_index.xml"), "utf8")
+    );
+    expect(index.type).toBe("index");
+    expect(index.locations).toEqual([
+      "page-sitemap.xml",
+      "degrees-sitemap.xml",
+    ]);
+
+    const urlset = parseSitemap(
+      fs.readFileSync(path.join(fixtureDir, "page-sitemap.xml"), "utf8")
+    );
+    expect(urlset.type).toBe("urlset");
+    expect(urlset.locations).toContain(
+      "https://online.sheridancollege.ca/apply/?d=URI-B-RNBS&calculator=true"
+    );
+    expect(urlset.locations).toContain(
+      "https://online.sheridancollege.ca/apply/?d=SHERIDAN.CA-B-BCPTRSCI&calculator=true"
+    );
+  });
+
+  test("Follow the sitemap index and apply include/exclude filters", async () => {
+    const pagePaths = await getSitemapPaths(
+      {
+        file: path.join(fixtureDir, "sitemap_index.xml"),
+        include: [],
+        exclude: ["^/wp-content/"],
+      },
+      {}
+    );
+
+    expect(pagePaths).toEqual([
+      "/",
+      "/about/",
+      "/tuition/",
+      "/apply/?d=URI-B-RNBS&calculator=true",
+      "/apply/?d=SHERIDAN.CA-B-BCPTRSCI&calculator=true",
+      "/degrees/",
+      "/degrees/undergraduate/bachelors-computer-information-science/",
+      "/degrees/undergraduate/bachelors-of-health-sciences/",
+    ]);
+
+    const degreePaths = await getSitemapPaths(
+      {
+        file: path.join(fixtureDir, "sitemap_index.xml"),
+        include: ["^/degrees/undergraduate/"],
+      },
+      {}
+    );
+    expect(degreePaths).toEqual([
+      "/degrees/undergraduate/bachelors-computer-information-science/",
+      "/degrees/undergraduate/bachelors-of-health-sciences/",
+    ]);
+  });
+
+  test("Merge sitemap paths with the static config list", () => {
+    expect(matchesFilters("/tuition/", ["^/degrees/"], [])).toBe(false);
+    expect(matchesFilters("/degrees/", [], ["^/degrees/$"])).toBe(false);
+
+    expect(
+      mergePagePaths(
+        ["/", "/tuition/"],
+        ["/tuition/", "/degrees/", "/apply/?d={internal_program_code}"]
+      )
+    ).toEqual(["/", "/tuition/", "/degrees/"]);
+  });
+});
@@ -0,0 +1,39 @@
+const { test, expect } = require("@playwright/test");
+const { PNG } = require("pngjs");
+const { computeSsim } = require("../utils/ssim.js");
+
+// A white image with black vertical stripes every `period` pixels
+function stripes(width, height, period, offset = 0) {
+  const image = new PNG({ width, height });
+  image.data.fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = offset; x < width; x += period) {
+      image.data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+  return image;
+}
+
+test.describe("SSIM Similarity", () => {
+  test("Score identical images 100 and penalize structural changes", () => {
+    const image = stripes(64, 64, 4);
+    expect(computeSsim(image, image, 64, 64)).toBe(100);
+
+    const blank = stripes(64, 64, 1000, 1000);
+    expect(computeSsim(image, blank, 64, 64)).toBeLessThan(10);
+  });
+
+  test("Leave ignored pixels out of the score", () => {
+    const image = stripes(16, 8, 4);
+    const changed = stripes(16, 8, 4);
+    const ignored = new Uint8Array(16 * 8);
+    // Change and ignore the left 8x8 window only
+    for (let y = 0; y < 8; y++) {
+      changed.data.fill(0, y * 16 * 4, (y * 16 + 8) * 4);
+      ignored.fill(1, y * 16, y * 16 + 8);
+    }
+
+    expect(computeSsim(image, changed, 16, 8)).toBeLessThan(100);
+    expect(computeSsim(image, changed, 16, 8, ignored)).toBe(100);
+  });
+});
@@ -0,0 +1,53 @@
+const { test, expect } = require("@playwright/test");
+const { describeStateSteps, getPageStates } = require("../utils/states.js");
+
+const config = {
+  states: [
+    {
+      name: "Menu",
+      include: ["^/$"],
+      steps: [{ hover: ".menu > a" }, { click: ".menu .tab" }],
+      waitFor: { selector: ".menu .panel" },
+    },
+    {
+      name: "Modal",
+      steps: [{ click: ".open-modal" }],
+      fullPage: true,
+      passThreshold: 90,
+    },
+  ],
+};
+const pageOptions = {
+  passThreshold: 95,
+  metric: "pixel",
+  alignRows: true,
+  ignoreRegions: [{ x: 0, y: 0, width: 100, height: 40 }],
+};
+
+test.describe("Interaction States", () => {
+  test("Resolve the states of a page with their compare options", () => {
+    const [menu, modal] = getPageStates(config, "/", pageOptions);
+    expect(menu.waitFor).toEqual({ selector: ".menu .panel" });
+    expect(menu.options).toMatchObject({
+      passThreshold: 95,
+      alignRows: false,
+      ignoreRegions: [],
+    });
+    // Full-page states keep the page's coordinate-based options
+    expect(modal.options).toMatchObject({
+      passThreshold: 90,
+      alignRows: true,
+      ignoreRegions: pageOptions.ignoreRegions,
+    });
+
+    expect(
+      getPageStates(config, "/about/", pageOptions).map((state) => state.name)
+    ).toEqual(["Modal"]);
+  });
+
+  test("Describe the steps of a state", () => {
+    expect(describeStateSteps(config.states[0])).toBe(
+      "hover .menu > a → click .menu .tab"
+    );
+  });
+});
@@ -1,481 +1,445 @@
 const { test, expect } = require("@playwright/test");
 const fs = require("fs");
 const path = require("path");
-const { PNG } = require("pngjs");
-const sharp = require("sharp");
-const config = require("../config.js");
-const axios = require("axios");
+const { loadConfig, getComparePair } = require("../utils/config.js");
+const { readPageInventory } = require("../utils/pageInventory.js");
+const {
+  ensureDirectoryExistence,
+  getScreenshotPath,
+  getPageOptions,
+  compareScreenshots,
+  getConfiguredDevices,
+  getDeviceContextOptions,
+  captureScreenshot,
+  captureStates,
+} = require("../utils/screenshots.js");
+const { getAnnotatedPath } = require("../utils/diffRegions.js");
+const {
+  getPageComponents,
+  withComponentPaths,
+  compareComponents,
+} = require("../utils/components.js");
+const {
+  getPageStates,
+  withStatePaths,
+  compareStates,
+} = require("../utils/states.js");
+const {
+  readAcceptedDiffs,
+  getAcceptance,
+} = require("../utils/acceptedDiffs.js");
+const { getResultStatus } = require("../utils/report.js");
+const {
+  RESULTS_ROOT,
+  writePageResult,
+  writeCaseResult,
+} = require("../utils/results.js");
+const { writeResultExports } = require("../utils/exporters.js");
+const { configureDiffPool } = require("../utils/diffPool.js");
+const {
+  collectImages,
+  checkPageImages,
+  describeBrokenImage,
+  generateBrokenImageReport,
+} = require("../utils/brokenImages.js");
+
+const config = loadConfig();
+const comparePair = getComparePair(config);
+const pagePaths = readPageInventory(config);
+const acceptedDiffs = readAcceptedDiffs();
+configureDiffPool(config.diffWorkers);
+
+// Playwright test statuses as reported in the JSON/JUnit exports
+const EXPORT_STATUSES = {
+  passed: "Pass",
+  failed: "Fail",
+  timedOut: "Error",
+  interrupted: "Error",
+  skipped: "Skipped",
+};
 
-let pixelmatch;
 let chalk;
 
-// Dynamically load `pixelmatch` and `chalk`
+// Dynamically load `chalk`
 (async () => {
-  pixelmatch = (await import("pixelmatch")).default;
   chalk = (await import("chalk")).default;
 })();
 
-// Helper Functions
-
-// Ensure directory exists
-function ensureDirectoryExistence(filePath) {
-  const dirname = path.dirname(filePath);
-  if (!fs.existsSync(dirname)) {
-    fs.mkdirSync(dirname, { recursive: true });
-  }
-}
-
-// Convert image to Base64
-function imageToBase64(imagePath) {
-  if (fs.existsSync(imagePath)) {
-    const imageData = fs.readFileSync(imagePath).toString("base64");
-    const ext = path.extname(imagePath).replace(".", ""); // Get file extension (e.g., png)
-    return `data:image/${ext};base64,${imageData}`;
-  }
-  return null; // Return null if image is missing
-}
-
-// Resize images to match specified dimensions (1280x800)
-async function resizeImage(imagePath, width, height) {
-  const buffer = fs.readFileSync(imagePath);
-  const resizedBuffer = await sharp(buffer)
-    .resize(width, height, {
-      fit: "contain",
-      background: { r: 255, g: 255, b: 255, alpha: 0 },
-    })
-    .toBuffer();
-  fs.writeFileSync(imagePath, resizedBuffer);
-}
-
-// Compare two screenshots and return similarity percentage
-async function compareScreenshots(baselinePath, currentPath, diffPath) {
-  if (!fs.existsSync(baselinePath) || !fs.existsSync(currentPath)) {
-    console.log(
-      chalk.red(`Missing file(s): ${baselinePath} or ${currentPath}`)
-    );
-    return "Error";
-  }
-
-  await resizeImage(baselinePath, 1280, 800);
-  await resizeImage(currentPath, 1280, 800);
-
-  const img1 = PNG.sync.read(fs.readFileSync(baselinePath)); // Staging
-  const img2 = PNG.sync.read(fs.readFileSync(currentPath)); // Prod
-
-  if (img1.width !== img2.width || img1.height !== img2.height) {
-    console.log(
-      chalk.red(`Size mismatch for ${baselinePath} and ${currentPath}`)
-    );
-    return "Size mismatch";
-  }
-
-  const diff = new PNG({ width: img1.width, height: img1.height });
-
-  pixelmatch(img1.data, img2.data, diff.data, img1.width, img1.height, {
-    threshold: 0.1,
-    diffColor: [0, 0, 255], // Blue for Prod Differences
-    diffColorAlt: [255, 165, 0], // Orange for Staging Differences
-  });
-
-  fs.writeFileSync(diffPath, PNG.sync.write(diff));
-
-  const totalPixels = img1.width * img1.height;
-  const mismatchedPixels = pixelmatch(
-    img1.data,
-    img2.data,
-    null,
-    img1.width,
-    img1.height,
-    { threshold: 0.1 }
-  );
-
-  const matchedPixels = totalPixels - mismatchedPixels;
-  return (matchedPixels / totalPixels) * 100;
-}
-
-// Capture screenshot for a given URL
-async function captureScreenshot(page, url, screenshotPath) {
-  try {
-    console.log(chalk.blue(`Navigating to: ${url}`));
-    await page.goto(url, { waitUntil: "networkidle", timeout: 60000 });
-
-    ensureDirectoryExistence(screenshotPath);
-    await page.screenshot({ path: screenshotPath, fullPage: true });
-    console.log(chalk.green(`Screenshot captured: ${screenshotPath}`));
-  } catch (error) {
-    console.error(
-      chalk.red(`Failed to capture screenshot for ${url}: ${error.message}`)
-    );
-  }
-}
-
-// Generate HTML report with Base64 embedded images
-function generateHtmlReport(results, deviceName) {
-  const reportPath = `visual_comparison_report_${deviceName}.html`;
-  const now = new Date().toLocaleString();
-
-  // Count passed, failed, and errors
-  const passed = results.filter(
-    (r) =>
-      typeof r.similarityPercentage === "number" && r.similarityPercentage >= 95
-  ).length;
-  const failed = results.filter(
-    (r) =>
-      typeof r.similarityPercentage === "number" && r.similarityPercentage < 95
-  ).length;
-  const errors = results.filter(
-    (r) => r.similarityPercentage === "Error"
-  ).length;
-
-  // **SORT RESULTS: Failed first, then errors, then passed**
-  results.sort((a, b) => {
-    if (a.similarityPercentage === "Error") return -1;
-    if (b.similarityPercentage === "Error") return 1;
-    if (
-      typeof a.similarityPercentage === "number" &&
-      typeof b.similarityPercentage === "number"
-    ) {
-      return a.similarityPercentage - b.similarityPercentage; // Lower similarity first
-    }
-    return 0;
-  });
-
-  let htmlContent = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-      <title>Visual Comparison Report - ${deviceName}</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        h1, h2 { text-align: center; }
-        .summary { text-align: center; margin-bottom: 20px; }
-        .summary p { font-size: 16px; }
-        .summary span { font-weight: bold; }
-        .summary .passed { color: green; }
-        .summary .failed { color: red; }
-        .summary .errors { color: orange; }
-        .staging { color: orange; font-weight: bold; }
-        .prod { color: blue; font-weight: bold; }
-        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: middle; }
-        th { background-color: #f2f2f2; }
-        .image-container { display: flex; justify-content: center; align-items: center; gap: 15px; }
-        .image-wrapper { display: flex; flex-direction: column; align-items: center; }
-        .image-container img { width: 350px; cursor: pointer; border: 1px solid #ddd; }
-        .image-label { font-size: 14px; font-weight: bold; margin-top: 5px; text-align: center; }
-        .status-pass { color: green; font-weight: bold; }
-        .status-fail { color: red; font-weight: bold; }
-        .status-error { color: orange; font-weight: bold; }
-        .criteria { font-size: 14px; text-align: center; margin-top: 10px; font-weight: bold; }
-        .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.8); }
-        .modal img { display: block; max-width: 90%; max-height: 90%; margin: auto; }
-        .modal-close { position: absolute; top: 20px; right: 30px; font-size: 30px; color: white; cursor: pointer; }
-      </style>
-    </head>
-    <body>
-      <h1>Visual Comparison Report</h1>
-      <h2>Device: ${deviceName}</h2>
-      <div class="summary">
-        <p><span class="staging">Staging:</span> ${config.staging.baseUrl} | <span class="prod">Prod:</span> ${config.prod.baseUrl}</p>
-        <p>Total Pages Tested: <span>${results.length}</span></p>
-        <p>Passed: <span class="passed">${passed}</span> | Failed: <span class="failed">${failed}</span> | Errors: <span class="errors">${errors}</span></p>
-        <p>Last Run: ${now}</p>
-        <a href="${reportPath}" download>Download Report</a>
-      </div>
-      <p class="criteria">✅ Success Criteria: A similarity score of 95% or higher is considered a pass.</p>
-      <table>
-        <thead>
-          <tr>
-            <th>Page</th>
-            <th>Similarity</th>
-            <th>Status</th>
-            <th>Images</th>
-          </tr>
-        </thead>
-        <tbody>
-  `;
-
-  results.forEach((result) => {
-    const sanitizedPath = result.pagePath.replace(/\//g, "_");
-    const stagingBase64 = imageToBase64(
-      `screenshots/${deviceName}/staging/${sanitizedPath}.png`
-    );
-    const prodBase64 = imageToBase64(
-      `screenshots/${deviceName}/prod/${sanitizedPath}.png`
-    );
-    const diffBase64 = imageToBase64(
-      `screenshots/${deviceName}/diff/${sanitizedPath}.png`
-    );
-
-    let statusClass = "status-error";
-    let statusText = "Error";
-
-    if (typeof result.similarityPercentage === "number") {
-      if (result.similarityPercentage >= 95) {
-        statusClass = "status-pass";
-        statusText = "Pass";
-      } else {
-        statusClass = "status-fail";
-        statusText = "Fail";
-      }
-    }
-
-    htmlContent += `
-    <tr>
-      <td>
-        <a href="${config.staging.baseUrl}${
-      result.pagePath
-    }" target="_blank" class="staging">Staging</a> | 
-        <a href="${config.prod.baseUrl}${
-      result.pagePath
-    }" target="_blank" class="prod">Prod</a>
-      </td>
-      <td>${
-        typeof result.similarityPercentage === "number"
-          ? result.similarityPercentage.toFixed(2) + "%"
-          : "Error"
-      }</td>
-      <td class="${statusClass}">${statusText}</td>
-      <td>
-        <div class="image-container">
-          ${
-            stagingBase64
-              ? `<div class="image-wrapper">
-                   <img src="${stagingBase64}" onclick="openModal('${stagingBase64}')" alt="Staging">
-                   <div class="image-label">Staging</div>
-                 </div>`
-              : "N/A"
-          }
-          ${
-            prodBase64
-              ? `<div class="image-wrapper">
-                   <img src="${prodBase64}" onclick="openModal('${prodBase64}')" alt="Prod">
-                   <div class="image-label">Prod</div>
-                 </div>`
-              : "N/A"
-          }
-          ${
-            diffBase64
-              ? `<div class="image-wrapper">
-                   <img src="${diffBase64}" onclick="openModal('${diffBase64}')" alt="Diff">
-                   <div class="image-label">Diff</div>
-                 </div>`
-              : "N/A"
-          }
-        </div>
-      </td>
-    </tr>
-  `;
-  });
-
-  htmlContent += `
-        </tbody>
-      </table>
-
-      <div id="modal" class="modal">
-        <span class="modal-close" onclick="closeModal()">&times;</span>
-        <img id="modal-image">
-      </div>
-
-      <script>
-        function openModal(imageSrc) { 
-          document.getElementById("modal-image").src = imageSrc; 
-          document.getElementById("modal").style.display = "block"; 
-        }
-        function closeModal() { 
-          document.getElementById("modal").style.display = "none"; 
-        }
-      </script>
-
-    </body>
-    </html>
-  `;
-
-  fs.writeFileSync(reportPath, htmlContent);
-}
-
 // Main Test Suite
 test.describe("Visual Comparison Tests", () => {
   test.setTimeout(7200000);
-  test("Compare staging and prod screenshots and generate HTML report", async ({
-    browser,
-  }) => {
-    const results = [];
-    const deviceName = "Desktop";
 
-    console.log(chalk.blue("Running tests..."));
-
-    const baseDir = `screenshots/${deviceName}`;
-    ["staging", "prod", "diff"].forEach((dir) => {
-      if (!fs.existsSync(path.join(baseDir, dir))) {
-        fs.mkdirSync(path.join(baseDir, dir), { recursive: true });
+  // Record every non-visual test for the "page-tests" JSON/JUnit export
+  test.afterEach(async ({}, testInfo) => {
+    if (testInfo.tags.includes("@visual")) {
+      return;
+    }
+    writeCaseResult(
+      "page-tests",
+      `${testInfo.project.name} ${testInfo.title}`,
+      {
+        name: testInfo.title,
+        classname: `page-tests.${testInfo.project.name}`,
+        status: EXPORT_STATUSES[testInfo.status] || "Error",
+        message: testInfo.error ? testInfo.error.message : null,
       }
-    });
+    );
+  });
 
-    const context = await browser.newContext({
-      viewport: { width: 1280, height: 800 },
-    });
-    const page = await context.newPage();
-
-    for (const pagePath of config.staging.urls) {
-      const stagingUrl = `${config.staging.baseUrl}${pagePath}`;
-      const prodUrl = `${config.prod.baseUrl}${pagePath}`;
-      const stagingScreenshotPath = path.join(
-        baseDir,
-        "staging",
-        `${pagePath.replace(/\//g, "_")}.png`
+  // One test per device and page, so pages run in parallel workers and are
+  // retried individually. Global teardown aggregates the written results
+  // into the HTML report.
+  for (const device of getConfiguredDevices(config)) {
+    test.describe(`${comparePair.base.label} vs ${comparePair.target.label} - ${device.name}`, () => {
+      test.setTimeout(300000);
+
+      // Decided from the browser name alone, before a browser is launched
+      const visualBrowser = config.visualBrowser || "chromium";
+      test.skip(
+        ({ browserName }) => browserName !== visualBrowser,
+        `Visual comparison runs in ${visualBrowser} only.`
       );
-      const prodScreenshotPath = path.join(
-        baseDir,
-        "prod",
-        `${pagePath.replace(/\//g, "_")}.png`
-      );
-      const diffScreenshotPath = path.join(
-        baseDir,
-        "diff",
-        `${pagePath.replace(/\//g, "_")}.png`
+      test.skip(
+        ({ browserName }) =>
+          getDeviceContextOptions(device).isMobile && browserName === "firefox",
+        "Mobile emulation is not supported in Firefox."
       );
 
-      try {
-        await captureScreenshot(page, stagingUrl, stagingScreenshotPath);
-        await captureScreenshot(page, prodUrl, prodScreenshotPath);
+      for (const pagePath of pagePaths) {
+        test(`Compare ${pagePath}`, { tag: "@visual" }, async ({ browser }) => {
+          const startedAt = Date.now();
+          const deviceName = device.name;
+          const contextOptions = getDeviceContextOptions(device);
+
+          const baseUrl = `${comparePair.base.baseUrl}${pagePath}`;
+          const targetUrl = `${comparePair.target.baseUrl}${pagePath}`;
+          const baseScreenshotPath = getScreenshotPath(
+            deviceName,
+            comparePair.base.folder,
+            pagePath,
+            comparePair.base.root
+          );
+          const targetScreenshotPath = getScreenshotPath(
+            deviceName,
+            comparePair.target.folder,
+            pagePath,
+            comparePair.target.root
+          );
+          const diffScreenshotPath = getScreenshotPath(
+            deviceName,
+            `diff/${comparePair.id}`,
+            pagePath
+          );
+          ensureDirectoryExistence(diffScreenshotPath);
+
+          // Recorded in the run manifest, which the report reads
+          const artifacts = {
+            pagePath,
+            device: deviceName,
+            base: {
+              environment: comparePair.base.name,
+              url: baseUrl,
+              screenshot: baseScreenshotPath,
+            },
+            target: {
+              environment: comparePair.target.name,
+              url: targetUrl,
+              screenshot: targetScreenshotPath,
+            },
+            diff: diffScreenshotPath,
+            annotated: getAnnotatedPath(diffScreenshotPath),
+          };
+
+          const pageOptions = getPageOptions(config, pagePath);
+          const components = withComponentPaths(
+            getPageComponents(config, pagePath, pageOptions),
+            deviceName,
+            pagePath,
+            comparePair
+          );
+          const states = withStatePaths(
+            getPageStates(config, pagePath, pageOptions),
+            deviceName,
+            pagePath,
+            comparePair
+          );
 
-        const similarity = await compareScreenshots(
-          stagingScreenshotPath,
-          prodScreenshotPath,
-          diffScreenshotPath
-        );
+          // A failed capture must not leave the previous run's images in
+          // the report: remove the diffs and every screenshot recaptured
+          // below (approved baselines are kept)
+          const sides = comparePair.base.isBaseline
+            ? ["target"]
+            : ["base", "target"];
+          for (const stalePath of [
+            diffScreenshotPath,
+            getAnnotatedPath(diffScreenshotPath),
+            ...sides.map((side) => artifacts[side].screenshot),
+            ...[...components, ...states].flatMap((item) => [
+              item.artifacts.diff,
+              getAnnotatedPath(item.artifacts.diff),
+              ...sides.map((side) => item.artifacts[side]),
+            ]),
+          ]) {
+            fs.rmSync(stalePath, { force: true });
+          }
+
+          const pageShots = {};
+          const componentCaptures = {};
+          const stateCaptures = {};
+          const shotsFor = (items, side) =>
+            items.map((item) => ({
+              ...item,
+              screenshotPath: item.artifacts[side],
+            }));
+          const context = await browser.newContext(contextOptions);
+          const page = await context.newPage();
+          let result;
+          let phase = "capture";
+          let captureMs;
+
+          try {
+            // Approved baselines are compared as-is, never recaptured
+            if (!comparePair.base.isBaseline) {
+              ({
+                screenshot: pageShots.base,
+                components: componentCaptures.base,
+              } = await captureScreenshot(
+                page,
+                baseUrl,
+                baseScreenshotPath,
+                pageOptions,
+                shotsFor(components, "base")
+              ));
+              stateCaptures.base = await captureStates(
+                page,
+                baseUrl,
+                shotsFor(states, "base"),
+                pageOptions
+              );
+            }
+            ({
+              screenshot: pageShots.target,
+              components: componentCaptures.target,
+            } = await captureScreenshot(
+              page,
+              targetUrl,
+              targetScreenshotPath,
+              pageOptions,
+              shotsFor(components, "target")
+            ));
+            stateCaptures.target = await captureStates(
+              page,
+              targetUrl,
+              shotsFor(states, "target"),
+              pageOptions
+            );
+
+            captureMs = Date.now() - startedAt;
+
+            // The page, its components and states are diffed concurrently
+            // on the worker pool, from the captured bytes
+            phase = "compare";
+            const compareStartedAt = Date.now();
+            const [comparison, componentResults, stateResults] =
+              await Promise.all([
+                compareScreenshots(
+                  baseScreenshotPath,
+                  targetScreenshotPath,
+                  diffScreenshotPath,
+                  pageOptions,
+                  comparePair,
+                  pageShots
+                ),
+                compareComponents(components, componentCaptures, comparePair),
+                compareStates(states, stateCaptures, comparePair),
+              ]);
+
+            // Pages, their components and states are accepted separately
+            const acceptanceTarget = {
+              comparison: comparePair.id,
+              device: deviceName,
+              pagePath,
+            };
+            result = {
+              pagePath,
+              passThreshold: pageOptions.passThreshold,
+              ...comparison,
+              acceptance: getAcceptance(acceptedDiffs, {
+                ...acceptanceTarget,
+                fingerprint: comparison.diffFingerprint,
+              }),
+              components: componentResults.map((component) => ({
+                ...component,
+                acceptance: getAcceptance(acceptedDiffs, {
+                  ...acceptanceTarget,
+                  component: component.name,
+                  fingerprint: component.diffFingerprint,
+                }),
+              })),
+              states: stateResults.map((state) => ({
+                ...state,
+                acceptance: getAcceptance(acceptedDiffs, {
+                  ...acceptanceTarget,
+                  interactionState: state.name,
+                  fingerprint: state.diffFingerprint,
+                }),
+              })),
+              // Page diff phases plus the capture and overall compare time
+              timings: {
+                ...comparison.timings,
+                captureMs,
+                compareMs: Date.now() - compareStartedAt,
+              },
+              artifacts,
+            };
+          } catch (error) {
+            result = {
+              pagePath,
+              passThreshold: pageOptions.passThreshold,
+              similarityPercentage: "Error",
+              error: error.message,
+              errorType: phase,
+              timings: { captureMs: captureMs ?? Date.now() - startedAt },
+              artifacts,
+            };
+          } finally {
+            await context.close();
+          }
 
-        results.push({ pagePath, similarityPercentage: similarity });
-      } catch (error) {
-        results.push({
-          pagePath,
-          similarityPercentage: "Error",
-          error: error.message,
+          result.durationMs = Date.now() - startedAt;
+          writePageResult(comparePair, deviceName, result);
+
+          // Components and interaction states are checked softly so every
+          // one of them is reported
+          for (const component of [
+            ...(result.components || []),
+            ...(result.states || []),
+          ]) {
+            expect
+              .soft(
+                getResultStatus(component),
+                component.error ||
+                  `${
+                    component.name
+                  } on ${pagePath} is ${component.similarityPercentage.toFixed(
+                    2
+                  )}% similar, below the ${component.passThreshold}% threshold`
+              )
+              .toMatch(/^(Pass|Accepted)$/);
+          }
+
+          // Differences accepted in accepted-diffs.json do not fail the test
+          expect(
+            getResultStatus(result),
+            result.error ||
+              `${pagePath} is ${result.similarityPercentage.toFixed(
+                2
+              )}% similar, below the ${result.passThreshold}% threshold`
+          ).toMatch(/^(Pass|Accepted)$/);
         });
       }
-    }
-
-    generateHtmlReport(results, deviceName);
-    await context.close();
-  });
+    });
+  }
 
   test("Verify broken image links automatically on staging pages from config.js", async ({
     page,
-  }) => {
-    const stagingUrls = config.staging.urls.map(
-      (url) => `${config.staging.baseUrl}${url}`
-    );
+  }, testInfo) => {
+    const pages = [];
+    const pageCases = [];
 
-    for (const url of stagingUrls) {
-      console.log(chalk.blue(`Navigating to: ${url}`));
-      await page.goto(url, { waitUntil: "domcontentloaded" });
-      console.log(chalk.green(`Page loaded successfully: ${url}`));
-
-      console.log(chalk.blue("Finding all image elements on the page..."));
-      const images = await page.locator("img");
-      const imageCount = await images.count();
-      console.log(chalk.green(`Found ${imageCount} images on the page.`));
-
-      let brokenImages = 0;
-      let trackingPixels = 0;
-      let checkedImages = 0;
+    try {
+      for (const pagePath of pagePaths) {
+        const startedAt = Date.now();
+        const url = `${config.environments.staging.baseUrl}${pagePath}`;
+        let pageResult;
 
-      // Extract and prepare all image URLs
-      const imageUrls = [];
-      for (let i = 0; i < imageCount; i++) {
-        let imageUrl = await images.nth(i).getAttribute("src");
+        try {
+          console.log(chalk.blue(`Navigating to: ${url}`));
+          await page.goto(url, { waitUntil: "domcontentloaded" });
 
-        if (!imageUrl) {
+          const images = await page.locator("img").evaluateAll(collectImages);
           console.log(
-            chalk.yellow(`Warning: Image ${i + 1} is missing a src attribute.`)
+            chalk.blue(`Checking ${images.length} images on ${pagePath}...`)
           );
-          brokenImages++;
-          continue;
+          pageResult = {
+            pagePath,
+            url,
+            ...(await checkPageImages(images, url)),
+          };
+        } catch (error) {
+          pageResult = { pagePath, url, images: [], error: error.message };
         }
+        pages.push(pageResult);
 
-        // Resolve relative URLs
-        if (!imageUrl.startsWith("http") && !imageUrl.startsWith("//")) {
-          imageUrl = new URL(imageUrl, url).toString();
-        } else if (imageUrl.startsWith("//")) {
-          imageUrl = `https:${imageUrl}`;
-        }
-
-        // Ignore tracking pixels
-        if (
-          imageUrl.includes("bat.bing.com") ||
-          imageUrl.includes("tracking")
-        ) {
-          console.log(chalk.yellow(`Skipping tracking pixel: ${imageUrl}`));
-          trackingPixels++;
-          continue;
-        }
-
-        imageUrls.push({ index: i + 1, imageUrl });
-      }
-
-      console.log(chalk.blue(`Checking ${imageUrls.length} valid images...`));
-
-      // **Check all images concurrently for faster performance**
-      const imageChecks = await Promise.allSettled(
-        imageUrls.map(({ index, imageUrl }) =>
-          axios
-            .get(imageUrl)
-            .then((response) => ({
-              index,
-              imageUrl,
-              status: response.status,
-            }))
-            .catch((error) => ({
-              index,
-              imageUrl,
-              error: error.response
-                ? `Status: ${error.response.status}`
-                : error.message,
-            }))
-        )
-      );
-
-      // **Process results**
-      for (const result of imageChecks) {
-        if (result.status === "fulfilled") {
-          console.log(
-            chalk.green(
-              `✅ Image ${result.value.index} loaded successfully: ${result.value.imageUrl}`
-            )
-          );
-        } else {
+        const brokenImages = pageResult.images.filter(
+          (image) => image.result === "broken"
+        );
+        for (const image of brokenImages) {
           console.log(
             chalk.red(
-              `❌ Image ${result.reason.index} failed: ${result.reason.imageUrl} (${result.reason.error})`
+              `❌ Broken image (${describeBrokenImage(image)}): ${
+                image.url || image.src
+              } at ${image.selector}`
             )
           );
-          brokenImages++;
         }
-        checkedImages++;
-      }
-
-      // **Final results per page**
-      console.log(chalk.blue(`Summary for ${url}:`));
-      console.log(
-        chalk.green(`✅ Valid images: ${checkedImages - brokenImages}`)
-      );
-      console.log(chalk.red(`❌ Broken images: ${brokenImages}`));
-      console.log(
-        chalk.yellow(`⚠️ Skipped tracking pixels: ${trackingPixels}`)
-      );
-
-      if (brokenImages > 0) {
-        console.log(
-          chalk.red(
-            `🚨 Test failed for ${url}. ${brokenImages} broken images detected.`
-          )
-        );
-      } else {
         console.log(
-          chalk.green(`✅ Test passed for ${url}. No broken images found.`)
+          pageResult.error
+            ? chalk.red(`Could not check ${url}: ${pageResult.error}`)
+            : chalk[brokenImages.length > 0 ? "red" : "green"](
+                `${pagePath}: ${pageResult.ok} OK, ${pageResult.broken} broken, ${pageResult.skipped} skipped`
+              )
         );
+
+        const message =
+          pageResult.error ||
+          (brokenImages.length > 0
+            ? `${
+                brokenImages.length
+              } broken images on ${pagePath}: ${brokenImages
+                .map(
+                  (image) =>
+                    `${image.url || image.src} (${describeBrokenImage(
+                      image
+                    )}) at ${image.selector}`
+                )
+                .join("; ")}`
+            : null);
+        const status = pageResult.error
+          ? "Error"
+          : brokenImages.length > 0
+          ? "Fail"
+          : "Pass";
+
+        pageCases.push({
+          name: pagePath,
+          classname: `broken-images.${testInfo.project.name}`,
+          status,
+          message,
+          durationMs: Date.now() - startedAt,
+          properties: {
+            url,
+            images: pageResult.total,
+            okImages: pageResult.ok,
+            brokenImages: pageResult.broken,
+            skippedImages: pageResult.skipped,
+          },
+        });
+
+        // Soft, so every page is checked before the test fails
+        expect.soft(status, message || undefined).toBe("Pass");
       }
+    } finally {
+      writeResultExports(
+        path.join(RESULTS_ROOT, "broken-images", testInfo.project.name),
+        "Broken Images",
+        pageCases
+      );
+      const reportPath = generateBrokenImageReport(
+        pages,
+        `broken_images_report_${testInfo.project.name}.html`
+      );
+      console.log(chalk.blue(`Broken images report: ${reportPath}`));
     }
   });
 
@@ -483,7 +447,7 @@ test.describe("Visual Comparison Tests", () => {
     page,
   }) => {
     try {
-      const formPageUrl = "https://live-web-sheridan.pantheonsite.io/";
+      const formPageUrl = `${config.environments.staging.baseUrl}/`;
       console.log(
         chalk.blue(`Navigating to the staging homepage: ${formPageUrl}`)
       );
@@ -626,8 +590,8 @@ test.describe("Visual Comparison Tests", () => {
     page,
   }) => {
     try {
-      const homePageUrl = "https://live-web-sheridan.pantheonsite.io/";
-      const applyPageUrl = "https://live-web-sheridan.pantheonsite.io/apply/";
+      const homePageUrl = `${config.environments.staging.baseUrl}/`;
+      const applyPageUrl = `${config.environments.staging.baseUrl}/apply/`;
       const confirmationSelector = "h1.headline2"; // Confirmation message
 
       const applyNowSelectors = {
@@ -872,7 +836,7 @@ test.describe("Visual Comparison Tests", () => {
       }
     };
 
-    const homePageUrl = "https://live-web-sheridan.pantheonsite.io/";
+    const homePageUrl = `${config.environments.staging.baseUrl}/`;
     console.log(chalk.blue(`Navigating to the YSU homepage: ${homePageUrl}`));
     await page.goto(homePageUrl, { waitUntil: "domcontentloaded" });
     console.log(chalk.green("Homepage loaded successfully."));
@@ -0,0 +1,74 @@
+const fs = require("fs");
+
+// Committed list of known, intentional differences
+const ACCEPTED_DIFFS_PATH = "accepted-diffs.json";
+
+// Read the accepted differences, or an empty list if none were recorded
+function readAcceptedDiffs(filePath = ACCEPTED_DIFFS_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+// Write the accepted differences, sorted so the committed file diffs cleanly
+function writeAcceptedDiffs(entries, filePath = ACCEPTED_DIFFS_PATH) {
+  const sorted = [...entries].sort(
+    (a, b) =>
+      a.comparison.localeCompare(b.comparison) ||
+      a.pagePath.localeCompare(b.pagePath) ||
+      a.device.localeCompare(b.device) ||
+      (a.component || "").localeCompare(b.component || "") ||
+      (a.interactionState || "").localeCompare(b.interactionState || "")
+  );
+  fs.writeFileSync(filePath, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+// Whether an accepted entry is for the same comparison, device and page, and
+// the same `component` or `interactionState` of it (entries with neither are
+// for the whole page)
+function isSameTarget(entry, target) {
+  return (
+    entry.comparison === target.comparison &&
+    entry.device === target.device &&
+    entry.pagePath === target.pagePath &&
+    (entry.component || null) === (target.component || null) &&
+    (entry.interactionState || null) === (target.interactionState || null)
+  );
+}
+
+// Add or replace the accepted difference for a comparison, device and page
+// (or page component or interaction state)
+function acceptDiff(entries, acceptance) {
+  return [
+    ...entries.filter((entry) => !isSameTarget(entry, acceptance)),
+    acceptance,
+  ];
+}
+
+// Look up the acceptance for a compared page, component or interaction
+// state. `state` is "accepted" while the
+// fingerprint still matches and the expiry date (inclusive, UTC) has not
+// passed, otherwise "changed" or "expired". Returns null if none was recorded.
+function getAcceptance(entries, target, now = new Date()) {
+  const entry = entries.find((candidate) => isSameTarget(candidate, target));
+  if (!entry) {
+    return null;
+  }
+
+  let state = "accepted";
+  if (entry.fingerprint !== target.fingerprint) {
+    state = "changed";
+  } else if (entry.expires && now.toISOString().slice(0, 10) > entry.expires) {
+    state = "expired";
+  }
+  return { ...entry, state };
+}
+
+module.exports = {
+  ACCEPTED_DIFFS_PATH,
+  readAcceptedDiffs,
+  writeAcceptedDiffs,
+  acceptDiff,
+  getAcceptance,
+};
@@ -0,0 +1,232 @@
+const fs = require("fs");
+const axios = require("axios");
+const { escapeHtml } = require("./report.js");
+
+// Image URLs that are tracking pixels rather than content, never checked
+const TRACKING_PIXEL_PATTERNS = ["bat.bing.com", "tracking"];
+
+// How long a single image request may take
+const IMAGE_REQUEST_TIMEOUT = 30000;
+
+// Describe every <img> on the page: its `src` attribute and a CSS selector
+// that finds it again (the nearest ancestor id, then :nth-of-type steps).
+// Runs in the browser through `locator.evaluateAll`, so it must be
+// self-contained.
+function collectImages(elements) {
+  const getSelector = (element) => {
+    const parts = [];
+    for (
+      let node = element;
+      node && node !== document.documentElement;
+      node = node.parentElement
+    ) {
+      if (node.id) {
+        parts.unshift(`${node.localName}#${CSS.escape(node.id)}`);
+        break;
+      }
+      const siblings = node.parentElement
+        ? [...node.parentElement.children].filter(
+            (sibling) => sibling.localName === node.localName
+          )
+        : [node];
+      parts.unshift(
+        siblings.length > 1
+          ? `${node.localName}:nth-of-type(${siblings.indexOf(node) + 1})`
+          : node.localName
+      );
+    }
+    return parts.join(" > ");
+  };
+
+  return elements.map((element, index) => ({
+    index: index + 1,
+    src: element.getAttribute("src"),
+    selector: getSelector(element),
+  }));
+}
+
+// Request one image. Never throws: HTTP errors and network failures are
+// returned as a `status` (null when there was no response) and `error`.
+async function requestImage(imageUrl) {
+  try {
+    const response = await axios.get(imageUrl, {
+      responseType: "arraybuffer",
+      timeout: IMAGE_REQUEST_TIMEOUT,
+      validateStatus: () => true,
+    });
+    return {
+      status: response.status,
+      error: response.status >= 400 ? `HTTP ${response.status}` : null,
+    };
+  } catch (error) {
+    return { status: null, error: error.code || error.message };
+  }
+}
+
+// Check the images collected from a page concurrently. Each image comes back
+// with a `result` of "ok", "broken" or "skipped" (tracking pixels and inline
+// data URIs), alongside the counts of each.
+async function checkPageImages(images, pageUrl) {
+  const checked = await Promise.all(
+    images.map(async (image) => {
+      if (!image.src) {
+        return { ...image, result: "broken", error: "Missing src attribute" };
+      }
+
+      let url;
+      try {
+        url = new URL(image.src, pageUrl).href;
+      } catch (error) {
+        return { ...image, result: "broken", error: "Invalid src URL" };
+      }
+      if (url.startsWith("data:")) {
+        return { ...image, url, result: "skipped", reason: "Inline data URI" };
+      }
+      if (TRACKING_PIXEL_PATTERNS.some((pattern) => url.includes(pattern))) {
+        return { ...image, url, result: "skipped", reason: "Tracking pixel" };
+      }
+
+      const { status, error } = await requestImage(url);
+      return { ...image, url, status, error, result: error ? "broken" : "ok" };
+    })
+  );
+
+  const count = (result) =>
+    checked.filter((image) => image.result === result).length;
+  return {
+    images: checked,
+    total: checked.length,
+    ok: count("ok"),
+    broken: count("broken"),
+    skipped: count("skipped"),
+  };
+}
+
+// Describe why an image is broken, e.g. "404" or "ECONNREFUSED"
+function describeBrokenImage(image) {
+  return image.status ? String(image.status) : image.error;
+}
+
+// Generate an HTML report listing every broken image with its page, status
+// code and element selector, plus the per-page counts
+function generateBrokenImageReport(pages, reportPath) {
+  const total = (key) => pages.reduce((sum, page) => sum + (page[key] || 0), 0);
+
+  const pageRows = pages
+    .map(
+      (page) => `
+        <tr>
+          <td><a href="${escapeHtml(page.url)}">${escapeHtml(
+        page.pagePath
+      )}</a>${
+        page.error
+          ? `<div class="cell-note">${escapeHtml(page.error)}</div>`
+          : ""
+      }</td>
+          <td>${page.total ?? "-"}</td>
+          <td class="status-pass">${page.ok ?? "-"}</td>
+          <td class="status-fail">${page.broken ?? "-"}</td>
+          <td>${page.skipped ?? "-"}</td>
+        </tr>`
+    )
+    .join("");
+
+  const brokenRows = pages
+    .flatMap((page) =>
+      (page.images || [])
+        .filter((image) => image.result === "broken")
+        .map(
+          (image) => `
+        <tr>
+          <td>${escapeHtml(page.pagePath)}</td>
+          <td class="image-url">${
+            image.url
+              ? `<a href="${escapeHtml(image.url)}">${escapeHtml(
+                  image.url
+                )}</a>`
+              : "-"
+          }</td>
+          <td class="status-fail">${escapeHtml(describeBrokenImage(image))}</td>
+          <td><code>${escapeHtml(image.selector)}</code></td>
+        </tr>`
+        )
+    )
+    .join("");
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Broken Images Report</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        .summary span { font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: middle; }
+        th { background-color: #f2f2f2; }
+        .status-pass { color: green; font-weight: bold; }
+        .status-fail { color: red; font-weight: bold; }
+        .cell-note { font-size: 12px; color: orange; margin-top: 4px; }
+        .image-url { text-align: left; word-break: break-all; }
+      </style>
+    </head>
+    <body>
+      <h1>Broken Images Report</h1>
+      <div class="summary">
+        <p>Pages Checked: <span>${pages.length}</span> | Images: <span>${total(
+    "total"
+  )}</span></p>
+        <p>OK: <span class="status-pass">${total(
+          "ok"
+        )}</span> | Broken: <span class="status-fail">${total(
+    "broken"
+  )}</span> | Skipped: <span>${total("skipped")}</span></p>
+        <p>Generated: ${new Date().toLocaleString()}</p>
+      </div>
+      <h2>Broken Images</h2>
+      ${
+        brokenRows
+          ? `<table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Image URL</th>
+            <th>Status</th>
+            <th>Element</th>
+          </tr>
+        </thead>
+        <tbody>${brokenRows}
+        </tbody>
+      </table>`
+          : `<p class="summary">No broken images found.</p>`
+      }
+      <h2>Pages</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Images</th>
+            <th>OK</th>
+            <th>Broken</th>
+            <th>Skipped</th>
+          </tr>
+        </thead>
+        <tbody>${pageRows}
+        </tbody>
+      </table>
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent);
+  return reportPath;
+}
+
+module.exports = {
+  collectImages,
+  checkPageImages,
+  describeBrokenImage,
+  generateBrokenImageReport,
+};
@@ -0,0 +1,169 @@
+const fs = require("fs");
+const path = require("path");
+const { getPageSlug } = require("./fileNames.js");
+const { matchesFilters } = require("./sitemap.js");
+const {
+  compareScreenshots,
+  ensureDirectoryExistence,
+} = require("./screenshots.js");
+const { getAnnotatedPath } = require("./diffRegions.js");
+
+// Path of a component screenshot: a `components/<component>` folder beside the
+// page screenshots, one file per page
+function getComponentScreenshotPath(
+  deviceName,
+  folder,
+  pagePath,
+  componentName,
+  root = "screenshots"
+) {
+  return path.join(
+    root,
+    deviceName,
+    folder,
+    "components",
+    getPageSlug(componentName),
+    `${getPageSlug(pagePath)}.png`
+  );
+}
+
+// Resolve the components captured on a page, with the page options each one
+// is compared with (the component's `passThreshold` and `metric` win)
+function getPageComponents(config, pagePath, pageOptions) {
+  return (config.components || [])
+    .filter((component) =>
+      matchesFilters(pagePath, component.include, component.exclude)
+    )
+    .map((component) => ({
+      name: component.name,
+      selector: component.selector,
+      has: component.has,
+      options: {
+        ...pageOptions,
+        ...(component.passThreshold !== undefined && {
+          passThreshold: component.passThreshold,
+        }),
+        ...(component.metric && { metric: component.metric }),
+        // Element screenshots are compared as they are
+        alignRows: false,
+        ignoreRegions: [],
+      },
+    }));
+}
+
+// Attach the screenshot and diff paths of a comparison to each component
+function withComponentPaths(components, deviceName, pagePath, pair) {
+  return components.map((component) => ({
+    ...component,
+    artifacts: {
+      base: getComponentScreenshotPath(
+        deviceName,
+        pair.base.folder,
+        pagePath,
+        component.name,
+        pair.base.root
+      ),
+      target: getComponentScreenshotPath(
+        deviceName,
+        pair.target.folder,
+        pagePath,
+        component.name,
+        pair.target.root
+      ),
+      diff: getComponentScreenshotPath(
+        deviceName,
+        `diff/${pair.id}`,
+        pagePath,
+        component.name
+      ),
+    },
+  }));
+}
+
+// Compare every component captured on both environments, concurrently on the
+// diff pool. Components found on neither are left out (the page does not
+// have them); a component missing on one side, failing to capture or failing
+// to compare is an error on that component only.
+async function compareComponents(components, captures, pair) {
+  const results = await Promise.all(
+    components.map(async (component) => {
+      const { name, selector, options, artifacts } = component;
+      const sides = [
+        [pair.base, captures.base && captures.base[name], artifacts.base],
+        [
+          pair.target,
+          captures.target && captures.target[name],
+          artifacts.target,
+        ],
+      ];
+      const found = sides.map(
+        ([, capture, screenshot]) =>
+          (capture ? capture.found : true) && fs.existsSync(screenshot)
+      );
+      if (
+        !found[0] &&
+        !found[1] &&
+        !sides.some(([, capture]) => capture && capture.error)
+      ) {
+        return null;
+      }
+
+      const result = {
+        name,
+        selector,
+        passThreshold: options.passThreshold,
+        artifacts: {
+          ...artifacts,
+          annotated: getAnnotatedPath(artifacts.diff),
+        },
+      };
+      const missing = sides.find((side, index) => !found[index]);
+      if (missing) {
+        const [environment, capture] = missing;
+        return {
+          ...result,
+          similarityPercentage: "Error",
+          error:
+            (capture && capture.error) ||
+            `Component ${
+              capture && capture.hidden ? "not visible" : "not found"
+            } on ${environment.label}`,
+        };
+      }
+
+      try {
+        ensureDirectoryExistence(artifacts.diff);
+        return {
+          ...result,
+          ...(await compareScreenshots(
+            artifacts.base,
+            artifacts.target,
+            artifacts.diff,
+            options,
+            pair,
+            {
+              base: sides[0][1] && sides[0][1].screenshot,
+              target: sides[1][1] && sides[1][1].screenshot,
+            }
+          )),
+        };
+      } catch (error) {
+        return {
+          ...result,
+          similarityPercentage: "Error",
+          error: error.message,
+          errorType: "compare",
+        };
+      }
+    })
+  );
+
+  return results.filter(Boolean);
+}
+
+module.exports = {
+  getComponentScreenshotPath,
+  getPageComponents,
+  withComponentPaths,
+  compareComponents,
+};
@@ -0,0 +1,240 @@
+const rawConfig = require("../config.js");
+
+// Diff/legend colors used when an environment does not define `color`
+const DEFAULT_PAIR_COLORS = {
+  base: [255, 165, 0], // Orange
+  target: [0, 0, 255], // Blue
+};
+
+// Similarity metrics a page can be scored (and thresholded) on
+const METRICS = ["pixel", "ssim"];
+
+// Validate the environment map and normalize each baseUrl (no trailing slash)
+function validateEnvironments(environments, problems) {
+  if (!environments || Object.keys(environments).length === 0) {
+    problems.push("`environments` must define at least one environment.");
+    return {};
+  }
+
+  const normalized = {};
+  for (const [name, environment] of Object.entries(environments)) {
+    const baseUrl = environment && environment.baseUrl;
+    let parsed;
+    try {
+      parsed = new URL(baseUrl);
+    } catch (error) {
+      problems.push(`Environment "${name}" has an invalid baseUrl: ${baseUrl}`);
+      continue;
+    }
+
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      problems.push(
+        `Environment "${name}" baseUrl must use http or https: ${baseUrl}`
+      );
+      continue;
+    }
+
+    normalized[name] = { ...environment, baseUrl: baseUrl.replace(/\/+$/, "") };
+  }
+
+  return normalized;
+}
+
+// Describe what is wrong with a single page path, or return null if it is valid
+function getPathProblem(pagePath) {
+  if (typeof pagePath !== "string" || !pagePath.startsWith("/")) {
+    return `Path must be a string starting with "/": ${pagePath}`;
+  }
+  if (pagePath.startsWith("//") || /\s/.test(pagePath)) {
+    return `Malformed path: "${pagePath}"`;
+  }
+  if (/[{}]/.test(pagePath)) {
+    return `Path contains an unresolved placeholder: ${pagePath}`;
+  }
+  return null;
+}
+
+// Validate the page path list: relative, well-formed, resolved and unique
+function validatePaths(paths, problems) {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    problems.push("`paths` must be a non-empty array of page paths.");
+    return [];
+  }
+
+  const seen = new Set();
+  for (const pagePath of paths) {
+    const problem = getPathProblem(pagePath);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+    if (seen.has(pagePath)) {
+      problems.push(`Duplicate path: ${pagePath}`);
+      continue;
+    }
+    seen.add(pagePath);
+  }
+
+  return paths;
+}
+
+// Validate the per-path `pages` overrides: each key must be a valid path and,
+// unless pages are also discovered from a sitemap or crawl, one of `paths`,
+// so a typo'd key fails loudly instead of silently overriding nothing
+function validatePageOverrides(config, paths, problems) {
+  const discovers =
+    (config.sitemap && config.sitemap.enabled) ||
+    (config.crawler && config.crawler.enabled);
+  const known = new Set(paths);
+
+  for (const pagePath of Object.keys(config.pages || {})) {
+    const problem = getPathProblem(pagePath);
+    if (problem) {
+      problems.push(`\`pages\` override: ${problem}`);
+    } else if (!discovers && !known.has(pagePath)) {
+      problems.push(
+        `\`pages\` override for a path not in \`paths\`: ${pagePath}`
+      );
+    }
+  }
+}
+
+// Validate every similarity `metric` (defaults, page overrides, components and
+// states), so a typo fails before any page is captured rather than turning
+// every comparison into an error
+function validateMetrics(config, problems) {
+  const metrics = [
+    ["`defaults` (COMPARE_METRIC)", config.defaults && config.defaults.metric],
+    ...Object.entries(config.pages || {}).map(([pagePath, page]) => [
+      `\`pages\` override for ${pagePath}`,
+      page && page.metric,
+    ]),
+    ...(config.components || []).map((component) => [
+      `Component "${component.name}"`,
+      component.metric,
+    ]),
+    ...(config.states || []).map((state) => [
+      `State "${state.name}"`,
+      state.metric,
+    ]),
+  ];
+
+  for (const [owner, metric] of metrics) {
+    if (metric !== undefined && !METRICS.includes(metric)) {
+      problems.push(
+        `${owner} has an unknown metric "${metric}". Use one of: ${METRICS.join(
+          ", "
+        )}.`
+      );
+    }
+  }
+}
+
+// Validate the number of diff worker threads (DIFF_WORKERS), so a typo fails
+// here rather than leaving every comparison waiting for a worker
+function validateDiffWorkers(diffWorkers, problems) {
+  if (
+    diffWorkers !== undefined &&
+    !(Number.isInteger(diffWorkers) && diffWorkers >= 0)
+  ) {
+    problems.push(
+      `\`diffWorkers\` (DIFF_WORKERS) must be a whole number of 0 or more: ${diffWorkers}`
+    );
+  }
+}
+
+// Validate config.js and return it with normalized environments.
+// Throws a single error listing every problem found.
+function loadConfig(config = rawConfig) {
+  const problems = [];
+  const environments = validateEnvironments(config.environments, problems);
+  const paths = validatePaths(config.paths, problems);
+  validatePageOverrides(config, paths, problems);
+  validateMetrics(config, problems);
+  validateDiffWorkers(config.diffWorkers, problems);
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid config.js:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+    );
+  }
+
+  return { ...config, environments, paths };
+}
+
+// Root directory for approved baseline screenshots (baselines/<device>/<env>)
+const BASELINE_ROOT = "baselines";
+
+// Describe an environment's role in a comparison: where its screenshots live
+// (<root>/<device>/<folder>) and how reports label and color it
+function describeEnvironment(config, name, role) {
+  const environment = config.environments[name];
+  if (!environment) {
+    throw new Error(
+      `Unknown ${role} environment "${name}". Available: ${Object.keys(
+        config.environments
+      ).join(", ")}`
+    );
+  }
+
+  return {
+    name,
+    label: environment.label || name.charAt(0).toUpperCase() + name.slice(1),
+    baseUrl: environment.baseUrl,
+    color: environment.color || DEFAULT_PAIR_COLORS[role],
+    root: "screenshots",
+    folder: name,
+  };
+}
+
+// Resolve the two sides to compare. BASE_ENV and TARGET_ENV override
+// `compare` in config.js, e.g. BASE_ENV=dev TARGET_ENV=prod npx playwright test.
+// BASELINE_ENV=staging instead compares staging to its approved baseline.
+function getComparePair(config, env = process.env) {
+  if (env.BASELINE_ENV) {
+    const target = describeEnvironment(config, env.BASELINE_ENV, "target");
+    return {
+      base: {
+        ...target,
+        name: "baseline",
+        label: `${target.label} Baseline`,
+        color: DEFAULT_PAIR_COLORS.base,
+        root: BASELINE_ROOT,
+        isBaseline: true,
+      },
+      target,
+      id: `${target.name}-vs-baseline`,
+    };
+  }
+
+  const compare = config.compare || {};
+  const pair = {
+    base: describeEnvironment(
+      config,
+      env.BASE_ENV || compare.base || "staging",
+      "base"
+    ),
+    target: describeEnvironment(
+      config,
+      env.TARGET_ENV || compare.target || "prod",
+      "target"
+    ),
+  };
+
+  if (pair.base.name === pair.target.name) {
+    throw new Error(
+      `Cannot compare environment "${pair.base.name}" to itself.`
+    );
+  }
+
+  pair.id = `${pair.base.name}-vs-${pair.target.name}`;
+  return pair;
+}
+
+module.exports = {
+  BASELINE_ROOT,
+  METRICS,
+  loadConfig,
+  getComparePair,
+  getPathProblem,
+};
@@ -0,0 +1,155 @@
+const axios = require("axios");
+const { matchesFilters } = require("./sitemap.js");
+
+// Links to files rather than pages are never crawled
+const NON_PAGE_EXTENSIONS =
+  /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|zip|docx?|xlsx?|pptx?|mp4|mp3)$/i;
+
+// Normalize a URL to a page path: drop the hash and any query parameters
+// that are not meaningful (tracking, paging), keeping e.g. `d` program codes
+function normalizePagePath(pageUrl, keepQueryParams = []) {
+  const url = new URL(pageUrl);
+  const params = [...url.searchParams.entries()].filter(([name]) =>
+    keepQueryParams.includes(name)
+  );
+
+  const search = new URLSearchParams(params).toString();
+  return `${url.pathname}${search ? `?${search}` : ""}`;
+}
+
+// Extract absolute same-origin link URLs from an HTML document
+function extractLinks(html, pageUrl) {
+  const origin = new URL(pageUrl).origin;
+  const links = [];
+  const hrefPattern = /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1/gis;
+
+  let match;
+  while ((match = hrefPattern.exec(html)) !== null) {
+    const href = match[2].trim().replace(/&amp;/g, "&");
+    if (!href || /^(#|mailto:|tel:|javascript:)/i.test(href)) {
+      continue;
+    }
+
+    let url;
+    try {
+      url = new URL(href, pageUrl);
+    } catch (error) {
+      continue;
+    }
+
+    if (url.origin === origin && !NON_PAGE_EXTENSIONS.test(url.pathname)) {
+      links.push(url.toString());
+    }
+  }
+
+  return links;
+}
+
+// Breadth-first crawl of same-origin links starting at the homepage.
+// Returns the discovered page paths in the order they were first reached.
+// Redirected links are recorded under the page they land on, and dropped when
+// they leave the site.
+async function crawlSite(baseUrl, options = {}) {
+  const {
+    maxDepth = 3,
+    maxPages = 200,
+    keepQueryParams = [],
+    include = [],
+    exclude = [],
+    log = () => {},
+  } = options;
+
+  const origin = new URL(baseUrl).origin;
+  const discovered = [];
+  const queued = new Set(["/"]);
+  let frontier = ["/"];
+
+  for (let depth = 0; depth <= maxDepth && frontier.length > 0; depth++) {
+    const nextFrontier = [];
+
+    for (const pagePath of frontier) {
+      if (discovered.length >= maxPages) {
+        return discovered;
+      }
+
+      const pageUrl = `${baseUrl}${pagePath}`;
+      let response;
+      try {
+        response = await axios.get(pageUrl, {
+          responseType: "text",
+          timeout: 30000,
+        });
+      } catch (error) {
+        log(`Failed to crawl ${pageUrl}: ${error.message}`);
+        continue;
+      }
+
+      const contentType = String(response.headers["content-type"] || "");
+      if (!contentType.includes("text/html")) {
+        continue;
+      }
+
+      // axios follows redirects; the final URL is on the Node response
+      const finalUrl =
+        (response.request.res && response.request.res.responseUrl) || pageUrl;
+      if (new URL(finalUrl).origin !== origin) {
+        log(`Skipped ${pageUrl}: redirects off-site to ${finalUrl}`);
+        continue;
+      }
+      const finalPath = normalizePagePath(finalUrl, keepQueryParams);
+      if (finalPath !== pagePath) {
+        // The landing page was already reached, is queued on its own or is
+        // filtered out
+        if (
+          queued.has(finalPath) ||
+          !matchesFilters(finalPath, include, exclude)
+        ) {
+          continue;
+        }
+        queued.add(finalPath);
+      }
+
+      discovered.push(finalPath);
+      log(`Crawled (${depth}) ${finalUrl}`);
+
+      for (const link of extractLinks(response.data, finalUrl)) {
+        const linkPath = normalizePagePath(link, keepQueryParams);
+        if (
+          !queued.has(linkPath) &&
+          matchesFilters(linkPath, include, exclude)
+        ) {
+          queued.add(linkPath);
+          nextFrontier.push(linkPath);
+        }
+      }
+    }
+
+    frontier = nextFrontier;
+  }
+
+  return discovered;
+}
+
+// List the paths found on each environment that are missing from the others
+function findMissingPages(pathsByEnvironment) {
+  const onlyIn = {};
+
+  for (const [name, paths] of Object.entries(pathsByEnvironment)) {
+    const others = Object.entries(pathsByEnvironment)
+      .filter(([otherName]) => otherName !== name)
+      .map(([, otherPaths]) => new Set(otherPaths));
+
+    onlyIn[name] = paths.filter((pagePath) =>
+      others.some((otherPaths) => !otherPaths.has(pagePath))
+    );
+  }
+
+  return onlyIn;
+}
+
+module.exports = {
+  normalizePagePath,
+  extractLinks,
+  crawlSite,
+  findMissingPages,
+};
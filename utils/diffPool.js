@@ -0,0 +1,150 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { diffImages } = require("./imageDiff.js");
+
+// Diff worker threads per process when config.js does not set `diffWorkers`
+const DEFAULT_DIFF_WORKERS = 1;
+
+const WORKER_PATH = path.join(__dirname, "diffWorker.js");
+
+// Consecutive worker crashes replaced with a new worker before the pool gives
+// up on them (e.g. when workers fail to start at all)
+const MAX_WORKER_RESPAWNS = 3;
+
+// Shared by every comparison in this process; each Playwright worker process
+// gets its own pool
+let poolSize = DEFAULT_DIFF_WORKERS;
+let pool = null;
+
+// Start `size` worker threads running `diffImages` and queue tasks for them.
+// Idle workers are unref'd so they never keep the process alive.
+function createDiffPool(size, workerPath = WORKER_PATH) {
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  const running = new Map();
+  let crashes = 0;
+  let failure = null;
+  let closed = false;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      job.queueMs = Date.now() - job.queuedAt;
+      running.set(worker, job);
+      worker.ref();
+      worker.postMessage(job.task);
+    }
+  };
+
+  const finish = (worker) => {
+    const job = running.get(worker);
+    running.delete(worker);
+    worker.unref();
+    return job;
+  };
+
+  // A crashed worker fails its task and is replaced, unless workers keep
+  // crashing. Once none are left, queued and later tasks fail with the crash
+  // error instead of waiting forever.
+  const crash = (worker, error) => {
+    const job = finish(worker);
+    workers.delete(worker);
+    if (idle.includes(worker)) {
+      idle.splice(idle.indexOf(worker), 1);
+    }
+    if (job) {
+      job.reject(error);
+    }
+
+    crashes++;
+    if (crashes <= MAX_WORKER_RESPAWNS) {
+      idle.push(spawn());
+    } else if (workers.size === 0) {
+      failure = error;
+      for (const queued of queue.splice(0)) {
+        queued.reject(error);
+      }
+    }
+    dispatch();
+  };
+
+  const spawn = () => {
+    const worker = new Worker(workerPath);
+    worker.unref();
+    workers.add(worker);
+
+    worker.on("message", ({ result, error }) => {
+      crashes = 0;
+      const job = finish(worker);
+      idle.push(worker);
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve({
+          ...result,
+          timings: { queueMs: job.queueMs, ...result.timings },
+        });
+      }
+      dispatch();
+    });
+
+    worker.on("error", (error) => crash(worker, error));
+
+    // A worker that exits on its own (e.g. `process.exit`) emits no error.
+    // After an error the worker is already gone from `workers`.
+    worker.on("exit", (code) => {
+      if (!closed && workers.has(worker)) {
+        crash(worker, new Error(`Diff worker exited with code ${code}`));
+      }
+    });
+
+    return worker;
+  };
+
+  for (let i = 0; i < size; i++) {
+    idle.push(spawn());
+  }
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        if (failure) {
+          reject(failure);
+          return;
+        }
+        queue.push({ task, resolve, reject, queuedAt: Date.now() });
+        dispatch();
+      });
+    },
+    async close() {
+      closed = true;
+      await Promise.all([...workers].map((worker) => worker.terminate()));
+    },
+  };
+}
+
+// Set the number of diff worker threads; 0 diffs on the calling thread
+function configureDiffPool(size = DEFAULT_DIFF_WORKERS) {
+  if (pool && size !== poolSize) {
+    pool.close();
+    pool = null;
+  }
+  poolSize = size;
+}
+
+// Diff two images (see `diffImages`) on the shared worker pool
+async function runDiff(task) {
+  if (poolSize === 0) {
+    const result = await diffImages(task);
+    return { ...result, timings: { queueMs: 0, ...result.timings } };
+  }
+
+  if (!pool) {
+    pool = createDiffPool(poolSize);
+  }
+  return pool.run(task);
+}
+
+module.exports = { createDiffPool, configureDiffPool, runDiff };
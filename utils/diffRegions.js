@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const { PNG } = require("pngjs");
+
+// Default clustering: mismatches are bucketed into 8px cells and cells closer
+// than `gap` pixels are merged into one region
+const DEFAULT_CELL_SIZE = 8;
+const DEFAULT_REGION_GAP = 16;
+
+// Color and line width of the boxes drawn on the annotated image
+const REGION_BOX_COLOR = [255, 0, 0];
+const REGION_BOX_WIDTH = 3;
+
+// Path of the annotated image written next to a diff image
+function getAnnotatedPath(diffPath) {
+  return diffPath.replace(/\.png$/, "-regions.png");
+}
+
+// Cluster the mismatched pixels of a pixelmatch mask (alpha > 0 where the
+// pixel differs) into rectangular regions, ordered top to bottom.
+function findDiffRegions(mask, width, height, options = {}) {
+  const cellSize = options.cellSize || DEFAULT_CELL_SIZE;
+  const gapCells = Math.max(
+    1,
+    Math.ceil((options.gap ?? DEFAULT_REGION_GAP) / cellSize)
+  );
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+
+  // Pixel count and tight bounds of the mismatches inside each cell
+  const counts = new Uint32Array(cols * rows);
+  const minX = new Int32Array(cols * rows);
+  const minY = new Int32Array(cols * rows);
+  const maxX = new Int32Array(cols * rows);
+  const maxY = new Int32Array(cols * rows);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[(y * width + x) * 4 + 3] === 0) {
+        continue;
+      }
+      const cell = Math.floor(y / cellSize) * cols + Math.floor(x / cellSize);
+      if (counts[cell] === 0) {
+        minX[cell] = maxX[cell] = x;
+        minY[cell] = maxY[cell] = y;
+      } else {
+        minX[cell] = Math.min(minX[cell], x);
+        maxX[cell] = Math.max(maxX[cell], x);
+        minY[cell] = Math.min(minY[cell], y);
+        maxY[cell] = Math.max(maxY[cell], y);
+      }
+      counts[cell]++;
+    }
+  }
+
+  // Flood-fill occupied cells, treating touching cells and cells within the
+  // gap as neighbours
+  const visited = new Uint8Array(cols * rows);
+  const regions = [];
+
+  for (let start = 0; start < counts.length; start++) {
+    if (counts[start] === 0 || visited[start]) {
+      continue;
+    }
+
+    const region = {
+      left: minX[start],
+      top: minY[start],
+      right: maxX[start],
+      bottom: maxY[start],
+      pixels: 0,
+    };
+    const stack = [start];
+    visited[start] = 1;
+
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      region.left = Math.min(region.left, minX[cell]);
+      region.top = Math.min(region.top, minY[cell]);
+      region.right = Math.max(region.right, maxX[cell]);
+      region.bottom = Math.max(region.bottom, maxY[cell]);
+      region.pixels += counts[cell];
+
+      const col = cell % cols;
+      const row = Math.floor(cell / cols);
+      for (
+        let r = Math.max(0, row - gapCells);
+        r <= Math.min(rows - 1, row + gapCells);
+        r++
+      ) {
+        for (
+          let c = Math.max(0, col - gapCells);
+          c <= Math.min(cols - 1, col + gapCells);
+          c++
+        ) {
+          const neighbour = r * cols + c;
+          if (counts[neighbour] > 0 && !visited[neighbour]) {
+            visited[neighbour] = 1;
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+
+    regions.push({
+      x: region.left,
+      y: region.top,
+      width: region.right - region.left + 1,
+      height: region.bottom - region.top + 1,
+      pixels: region.pixels,
+    });
+  }
+
+  return regions.sort((a, b) => a.y - b.y || a.x - b.x);
+}
+
+// Fingerprint a pixelmatch mask: identical for two comparisons only when the
+// same pixels differ in the same way, so an accepted diff can be recognised
+function getDiffFingerprint(mask) {
+  return crypto
+    .createHash("sha1")
+    .update(`${mask.width}x${mask.height}`)
+    .update(mask.data)
+    .digest("hex");
+}
+
+// Draw a rectangle outline around each region, in place
+function drawRegionBoxes(image, regions) {
+  const { width, height, data } = image;
+  const paint = (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) {
+      return;
+    }
+    const pos = (y * width + x) * 4;
+    data[pos] = REGION_BOX_COLOR[0];
+    data[pos + 1] = REGION_BOX_COLOR[1];
+    data[pos + 2] = REGION_BOX_COLOR[2];
+    data[pos + 3] = 255;
+  };
+
+  for (const region of regions) {
+    // Boxes sit just outside the region so the change itself stays visible
+    for (let t = 1; t <= REGION_BOX_WIDTH; t++) {
+      const left = region.x - t;
+      const top = region.y - t;
+      const right = region.x + region.width - 1 + t;
+      const bottom = region.y + region.height - 1 + t;
+      for (let x = left; x <= right; x++) {
+        paint(x, top);
+        paint(x, bottom);
+      }
+      for (let y = top; y <= bottom; y++) {
+        paint(left, y);
+        paint(right, y);
+      }
+    }
+  }
+
+  return image;
+}
+
+// Crop a region (plus padding, limited to maxWidth x maxHeight) out of an
+// image. Areas outside the image are left white.
+function cropRegion(image, region, options = {}) {
+  const { padding = 20, maxWidth = 600, maxHeight = 400 } = options;
+  const left = Math.max(0, region.x - padding);
+  const top = Math.max(0, region.y - padding);
+  const width = Math.min(region.width + padding * 2, maxWidth);
+  const height = Math.min(region.height + padding * 2, maxHeight);
+
+  const crop = new PNG({ width, height });
+  crop.data.fill(255);
+  const copyWidth = Math.min(width, image.width - left);
+  const copyHeight = Math.min(height, image.height - top);
+  if (copyWidth > 0 && copyHeight > 0) {
+    PNG.bitblt(image, crop, left, top, copyWidth, copyHeight, 0, 0);
+  }
+  return crop;
+}
+
+module.exports = {
+  getAnnotatedPath,
+  findDiffRegions,
+  getDiffFingerprint,
+  drawRegionBoxes,
+  cropRegion,
+};
@@ -0,0 +1,12 @@
+const { parentPort } = require("worker_threads");
+const { diffImages } = require("./imageDiff.js");
+
+// Worker thread entry of the diff pool: diff each task posted by the pool and
+// post back its result or error message
+parentPort.on("message", async (task) => {
+  try {
+    parentPort.postMessage({ result: await diffImages(task) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+
+// Map a case status onto the JUnit element that reports it; Pass and
+// Accepted cases have none
+const JUNIT_STATUS_ELEMENTS = {
+  Fail: "failure",
+  Error: "error",
+  Skipped: "skipped",
+};
+
+// Escape text for XML attributes and element content
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Build a JUnit XML document with one <testcase> per case. Properties become
+// <property> elements and artifact paths are listed as JUnit attachments.
+function toJUnitXml(suiteName, cases) {
+  const count = (status) => cases.filter((c) => c.status === status).length;
+  const testcases = cases.map((testCase) => {
+    const properties = Object.entries(testCase.properties || {})
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(
+        ([name, value]) =>
+          `        <property name="${escapeXml(name)}" value="${escapeXml(
+            value
+          )}"/>`
+      );
+    const artifacts = Object.values(testCase.artifacts || {}).filter(Boolean);
+    const statusElement = JUNIT_STATUS_ELEMENTS[testCase.status];
+
+    return [
+      `    <testcase name="${escapeXml(testCase.name)}" classname="${escapeXml(
+        testCase.classname || suiteName
+      )}" time="${((testCase.durationMs || 0) / 1000).toFixed(3)}">`,
+      properties.length > 0
+        ? `      <properties>\n${properties.join("\n")}\n      </properties>`
+        : null,
+      statusElement
+        ? `      <${statusElement} message="${escapeXml(
+            testCase.message || testCase.status
+          )}"/>`
+        : null,
+      artifacts.length > 0
+        ? `      <system-out>${artifacts
+            .map((artifact) => escapeXml(`[[ATTACHMENT|${artifact}]]`))
+            .join("\n")}</system-out>`
+        : null,
+      "    </testcase>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="${escapeXml(suiteName)}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${
+      cases.length
+    }" failures="${count("Fail")}" errors="${count("Error")}" skipped="${count(
+      "Skipped"
+    )}" timestamp="${new Date().toISOString()}">`,
+    ...testcases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+// Write `results.json` and `junit.xml` for a suite into the given directory
+function writeResultExports(outputDir, suiteName, cases) {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const summary = {
+    suite: suiteName,
+    generatedAt: new Date().toISOString(),
+    total: cases.length,
+    passed: cases.filter((c) => c.status === "Pass").length,
+    failed: cases.filter((c) => c.status === "Fail").length,
+    errors: cases.filter((c) => c.status === "Error").length,
+    accepted: cases.filter((c) => c.status === "Accepted").length,
+    skipped: cases.filter((c) => c.status === "Skipped").length,
+    cases,
+  };
+
+  fs.writeFileSync(
+    path.join(outputDir, "results.json"),
+    JSON.stringify(summary, null, 2)
+  );
+  fs.writeFileSync(
+    path.join(outputDir, "junit.xml"),
+    toJUnitXml(suiteName, cases)
+  );
+}
+
+module.exports = { toJUnitXml, writeResultExports };
@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+
+// Longest slug kept before the hash, so names stay short on every filesystem
+const MAX_SLUG_LENGTH = 60;
+
+// Deterministic, filesystem-safe file name stem for a page path: a readable
+// slug plus a short hash of the exact path, so paths that slugify the same
+// (e.g. "/apply/?d=X" and "/apply?d=X") never collide
+function getPageSlug(pagePath) {
+  const slug =
+    pagePath
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, MAX_SLUG_LENGTH)
+      .replace(/-+$/, "") || "home";
+  const hash = crypto
+    .createHash("sha1")
+    .update(pagePath)
+    .digest("hex")
+    .slice(0, 8);
+
+  return `${slug}-${hash}`;
+}
+
+module.exports = { getPageSlug };
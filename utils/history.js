@@ -0,0 +1,354 @@
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_PASS_THRESHOLD } = require("./screenshots.js");
+const { getResultStatus, escapeHtml } = require("./report.js");
+
+// Default history file, relative to the project root
+const DEFAULT_HISTORY_FILE = path.join("history", "runs.jsonl");
+
+// Statuses that count as failing when comparing runs
+const FAILING_STATUSES = ["Fail", "Error"];
+
+// Resolve the history file from config
+function getHistoryPath(historyConfig = {}) {
+  return historyConfig.file || DEFAULT_HISTORY_FILE;
+}
+
+// Key that identifies a page across runs
+function getPageKey(page) {
+  return `${page.device} ${page.pagePath}`;
+}
+
+// Build one history record for a run from its per-device results
+function toHistoryRecord(pair, resultsByDevice, generatedAt = new Date()) {
+  const pages = Object.entries(resultsByDevice).flatMap(
+    ([deviceName, results]) =>
+      results.map((result) => ({
+        device: deviceName,
+        pagePath: result.pagePath,
+        similarity:
+          typeof result.similarityPercentage === "number"
+            ? Number(result.similarityPercentage.toFixed(4))
+            : null,
+        threshold: result.passThreshold ?? DEFAULT_PASS_THRESHOLD,
+        metric: result.metric,
+        status: getResultStatus(result),
+      }))
+  );
+  const count = (status) => pages.filter((p) => p.status === status).length;
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    comparison: pair.id,
+    base: pair.base.baseUrl,
+    target: pair.target.baseUrl,
+    summary: {
+      total: pages.length,
+      passed: count("Pass"),
+      failed: count("Fail"),
+      errors: count("Error"),
+      accepted: count("Accepted"),
+    },
+    pages,
+  };
+}
+
+// Append a run record as one line of the history file
+function appendRunHistory(historyPath, record) {
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+  fs.appendFileSync(historyPath, `${JSON.stringify(record)}\n`);
+}
+
+// Read the recorded runs for a comparison, oldest first. Lines that cannot be
+// parsed (e.g. a run interrupted mid-write) are skipped.
+function readRunHistory(historyPath, comparison) {
+  if (!fs.existsSync(historyPath)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(historyPath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    })
+    .filter((record) => !comparison || record.comparison === comparison);
+}
+
+// Compare two runs: pages that passed before and now fail, and pages that
+// failed before and now pass. Pages missing from either run are ignored.
+function getStatusChanges(previousRun, currentRun) {
+  const changes = { newlyFailing: [], recovered: [] };
+  if (!previousRun) {
+    return changes;
+  }
+
+  const previousStatuses = new Map(
+    previousRun.pages.map((page) => [getPageKey(page), page.status])
+  );
+
+  for (const page of currentRun.pages) {
+    const previousStatus = previousStatuses.get(getPageKey(page));
+    if (!previousStatus) {
+      continue;
+    }
+    const wasFailing = FAILING_STATUSES.includes(previousStatus);
+    const isFailing = FAILING_STATUSES.includes(page.status);
+
+    if (!wasFailing && isFailing) {
+      changes.newlyFailing.push(page);
+    } else if (wasFailing && !isFailing) {
+      changes.recovered.push(page);
+    }
+  }
+
+  return changes;
+}
+
+// Collect the similarity series for every device and page across runs
+function getPageTrends(runs) {
+  const trends = new Map();
+
+  runs.forEach((run, runIndex) => {
+    for (const page of run.pages) {
+      const key = getPageKey(page);
+      if (!trends.has(key)) {
+        trends.set(key, {
+          device: page.device,
+          pagePath: page.pagePath,
+          points: [],
+        });
+      }
+      trends.get(key).points.push({ runIndex, ...page });
+    }
+  });
+
+  return [...trends.values()].sort(
+    (a, b) =>
+      a.device.localeCompare(b.device) || a.pagePath.localeCompare(b.pagePath)
+  );
+}
+
+// Render a similarity series as an inline SVG sparkline with the page's
+// threshold as a dashed line. Errors are drawn as orange markers at the bottom.
+function renderSparkline(trend, runs) {
+  const width = 240;
+  const height = 48;
+  const numeric = trend.points.filter((p) => p.similarity !== null);
+  const lowest = Math.min(
+    ...numeric.map((p) => p.similarity),
+    ...trend.points.map((p) => p.threshold)
+  );
+  const floor = Math.max(0, Math.floor(lowest) - 1);
+  const x = (runIndex) =>
+    runs.length > 1
+      ? (runIndex / (runs.length - 1)) * (width - 8) + 4
+      : width / 2;
+  const y = (value) =>
+    height - 4 - ((value - floor) / (100 - floor || 1)) * (height - 8);
+  const threshold = trend.points[trend.points.length - 1].threshold;
+
+  const line = numeric
+    .map((p) => `${x(p.runIndex).toFixed(1)},${y(p.similarity).toFixed(1)}`)
+    .join(" ");
+  const markers = trend.points
+    .map((p) => {
+      const cy = p.similarity === null ? height - 4 : y(p.similarity);
+      const label =
+        p.similarity === null ? "Error" : `${p.similarity.toFixed(2)}%`;
+      return `<circle cx="${x(p.runIndex).toFixed(1)}" cy="${cy.toFixed(
+        1
+      )}" r="2.5" class="point-${p.status.toLowerCase()}"><title>${escapeHtml(
+        new Date(runs[p.runIndex].generatedAt).toLocaleString()
+      )}: ${label}</title></circle>`;
+    })
+    .join("");
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <line x1="0" x2="${width}" y1="${y(threshold).toFixed(1)}" y2="${y(
+    threshold
+  ).toFixed(1)}" class="threshold"/>
+    ${line ? `<polyline points="${line}" class="trend"/>` : ""}
+    ${markers}
+  </svg>`;
+}
+
+// Render a list of pages whose status changed between the last two runs
+function renderChangeList(pages) {
+  if (pages.length === 0) {
+    return "<p>None</p>";
+  }
+  return `<ul>${pages
+    .map(
+      (page) =>
+        `<li>${escapeHtml(page.pagePath)} <span class="cell-note">(${escapeHtml(
+          page.device
+        )}, ${
+          page.similarity === null ? "Error" : `${page.similarity.toFixed(2)}%`
+        })</span></li>`
+    )
+    .join("")}</ul>`;
+}
+
+// Generate the trend dashboard for a comparison from its recorded runs
+function generateTrendDashboard(runs, pair) {
+  const dashboardPath = `visual_trend_dashboard_${pair.id}.html`;
+  const latestRun = runs[runs.length - 1];
+  const { newlyFailing, recovered } = getStatusChanges(
+    runs[runs.length - 2],
+    latestRun
+  );
+
+  const runRows = runs
+    .map((run, index) => {
+      const changes = getStatusChanges(runs[index - 1], run);
+      return `
+        <tr>
+          <td>${escapeHtml(new Date(run.generatedAt).toLocaleString())}</td>
+          <td>${run.summary.total}</td>
+          <td class="status-pass">${run.summary.passed}</td>
+          <td class="status-fail">${run.summary.failed}</td>
+          <td class="status-error">${run.summary.errors}</td>
+          <td class="status-accepted">${run.summary.accepted || 0}</td>
+          <td>${changes.newlyFailing.length}</td>
+          <td>${changes.recovered.length}</td>
+        </tr>`;
+    })
+    .reverse()
+    .join("");
+
+  const trendRows = getPageTrends(runs)
+    .map((trend) => {
+      const latest = trend.points[trend.points.length - 1];
+      const isCurrent = latest.runIndex === runs.length - 1;
+      return `
+        <tr>
+          <td>${escapeHtml(trend.pagePath)}</td>
+          <td>${escapeHtml(trend.device)}</td>
+          <td>${renderSparkline(trend, runs)}</td>
+          <td>${
+            latest.similarity === null
+              ? "Error"
+              : `${latest.similarity.toFixed(2)}%`
+          }${
+        isCurrent ? "" : `<div class="cell-note">not in the latest run</div>`
+      }</td>
+          <td class="status-${latest.status.toLowerCase()}">${
+        latest.status
+      }</td>
+        </tr>`;
+    })
+    .join("");
+
+  const htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison Trends - ${escapeHtml(
+        pair.base.label
+      )} vs ${escapeHtml(pair.target.label)}</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        .changes { display: flex; justify-content: center; gap: 60px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: middle; }
+        th { background-color: #f2f2f2; }
+        .status-pass { color: green; font-weight: bold; }
+        .status-fail { color: red; font-weight: bold; }
+        .status-error { color: orange; font-weight: bold; }
+        .status-accepted { color: teal; font-weight: bold; }
+        .cell-note { font-size: 12px; color: #666; }
+        .trend { fill: none; stroke: #0000ff; stroke-width: 1.5; }
+        .threshold { stroke: #999; stroke-dasharray: 4 3; }
+        .point-pass { fill: green; }
+        .point-fail { fill: red; }
+        .point-error { fill: orange; }
+        .point-accepted { fill: teal; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Trends</h1>
+      <h2>${escapeHtml(pair.base.label)} vs ${escapeHtml(
+    pair.target.label
+  )}</h2>
+      <div class="summary">
+        <p>Runs shown: ${runs.length} | Latest run: ${escapeHtml(
+    new Date(latestRun.generatedAt).toLocaleString()
+  )}</p>
+      </div>
+      <div class="changes">
+        <div>
+          <h3 class="status-fail">Newly Failing (${newlyFailing.length})</h3>
+          ${renderChangeList(newlyFailing)}
+        </div>
+        <div>
+          <h3 class="status-pass">Recovered (${recovered.length})</h3>
+          ${renderChangeList(recovered)}
+        </div>
+      </div>
+      <h2>Runs</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Run</th>
+            <th>Total</th>
+            <th>Passed</th>
+            <th>Failed</th>
+            <th>Errors</th>
+            <th>Accepted</th>
+            <th>Newly Failing</th>
+            <th>Recovered</th>
+          </tr>
+        </thead>
+        <tbody>${runRows}
+        </tbody>
+      </table>
+      <h2>Similarity Over Time</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Device</th>
+            <th>Similarity Trend</th>
+            <th>Latest</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>${trendRows}
+        </tbody>
+      </table>
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(dashboardPath, htmlContent);
+  return dashboardPath;
+}
+
+// Record a run in the history file and regenerate the trend dashboard
+function recordRunHistory(historyConfig, pair, resultsByDevice) {
+  const historyPath = getHistoryPath(historyConfig);
+  appendRunHistory(historyPath, toHistoryRecord(pair, resultsByDevice));
+
+  const runs = readRunHistory(historyPath, pair.id).slice(
+    -(historyConfig.dashboardRuns || 30)
+  );
+  return generateTrendDashboard(runs, pair);
+}
+
+module.exports = {
+  toHistoryRecord,
+  appendRunHistory,
+  readRunHistory,
+  getStatusChanges,
+  getPageTrends,
+  generateTrendDashboard,
+  recordRunHistory,
+};
@@ -0,0 +1,294 @@
+const fs = require("fs");
+const { PNG } = require("pngjs");
+const {
+  findDiffRegions,
+  getDiffFingerprint,
+  drawRegionBoxes,
+} = require("./diffRegions.js");
+const { computeSsim } = require("./ssim.js");
+const { alignRows, mapRegionRows } = require("./rowAlignment.js");
+
+let pixelmatch;
+
+// Color pixelmatch paints anti-aliased pixels with in the diff image
+const AA_COLOR = [255, 255, 0];
+
+// Mismatch color of the mask (pixelmatch's default diff color); diff
+// fingerprints hash the mask, so it must not depend on environment colors
+const MASK_COLOR = [255, 0, 0];
+
+// Pad an image with opaque white to the given dimensions, keeping the
+// original content anchored at the top-left corner. The padding is repainted
+// by `paintPadding` before the diff.
+function padImage(image, width, height) {
+  if (image.width === width && image.height === height) {
+    return image;
+  }
+
+  const padded = new PNG({ width, height });
+  padded.data.fill(255);
+  PNG.bitblt(image, padded, 0, 0, image.width, image.height, 0, 0);
+  return padded;
+}
+
+// Mark the pixels of the common canvas that one screenshot has no content
+// for: 1 where the base is padding, 2 where the target is (0 where both are).
+// `rows` maps aligned rows to their [baseRow, targetRow] when rows were
+// aligned. Returns null when neither side was padded.
+function getPaddingMask(width, height, baseline, current, rows) {
+  const padding = new Uint8Array(width * height);
+  let padded = false;
+
+  for (let y = 0; y < height; y++) {
+    const [baseRow, targetRow] = rows ? rows[y] : [y, y];
+    const baseRowMissing = baseRow < 0 || baseRow >= baseline.height;
+    const targetRowMissing = targetRow < 0 || targetRow >= current.height;
+    for (let x = 0; x < width; x++) {
+      const baseMissing = baseRowMissing || x >= baseline.width;
+      const targetMissing = targetRowMissing || x >= current.width;
+      if (baseMissing !== targetMissing) {
+        padding[y * width + x] = baseMissing ? 1 : 2;
+        padded = true;
+      }
+    }
+  }
+
+  return padded ? padding : null;
+}
+
+// Paint each padding pixel in contrast to the other side's pixel (black
+// against light content, white against dark), so content missing from one
+// screenshot always counts as a difference, even white content. Ignored
+// pixels stay as they are.
+function paintPadding(img1, img2, padding, covered) {
+  for (let pixel = 0; pixel < padding.length; pixel++) {
+    if (!padding[pixel] || (covered && covered[pixel])) {
+      continue;
+    }
+    const [padded, other] = padding[pixel] === 1 ? [img1, img2] : [img2, img1];
+    const pos = pixel * 4;
+    const luma =
+      0.299 * other.data[pos] +
+      0.587 * other.data[pos + 1] +
+      0.114 * other.data[pos + 2];
+    padded.data.writeUInt32BE(luma < 128 ? 0xffffffff : 0x000000ff, pos);
+  }
+}
+
+// Paint ignore regions identically on every image so they never mismatch.
+// Returns a per-pixel coverage mask (null when there are no regions) and the
+// number of distinct pixels covered, clipped to the image bounds.
+function applyIgnoreRegions(images, regions) {
+  if (!regions || regions.length === 0) {
+    return { covered: null, ignoredPixels: 0 };
+  }
+
+  const { width, height } = images[0];
+  const covered = new Uint8Array(width * height);
+  let ignoredPixels = 0;
+
+  for (const region of regions) {
+    const left = Math.max(0, Math.floor(region.x));
+    const top = Math.max(0, Math.floor(region.y));
+    const right = Math.min(width, Math.ceil(region.x + region.width));
+    const bottom = Math.min(height, Math.ceil(region.y + region.height));
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const pixel = y * width + x;
+        if (!covered[pixel]) {
+          covered[pixel] = 1;
+          ignoredPixels++;
+        }
+        for (const image of images) {
+          image.data.writeUInt32BE(0x808080ff, pixel * 4); // Opaque gray
+        }
+      }
+    }
+  }
+
+  return { covered, ignoredPixels };
+}
+
+// Whether the mismatch mask can be read back from the diff image: the diff
+// colors must differ from the anti-aliasing color and from the faded gray
+// (values 229-255) pixelmatch draws unchanged pixels with
+function canReadMaskFromDiff(colors) {
+  return colors.every(
+    ([r, g, b]) =>
+      !(r === g && g === b && r >= 229) &&
+      !(r === AA_COLOR[0] && g === AA_COLOR[1] && b === AA_COLOR[2])
+  );
+}
+
+// Rebuild the mask pixelmatch draws with `diffMask: true` (mismatches on a
+// transparent background, anti-aliasing left out) from a regular diff image
+function readMaskFromDiff(diff, colors) {
+  const mask = new PNG({ width: diff.width, height: diff.height });
+  const { data } = diff;
+
+  for (let pos = 0; pos < data.length; pos += 4) {
+    if (
+      colors.some(
+        ([r, g, b]) =>
+          data[pos] === r && data[pos + 1] === g && data[pos + 2] === b
+      )
+    ) {
+      mask.data.set([...MASK_COLOR, 255], pos);
+    }
+  }
+
+  return mask;
+}
+
+// Decode a PNG passed as a file path or as encoded bytes (Buffers arrive in
+// worker threads as plain Uint8Arrays)
+function readImage(input) {
+  return PNG.sync.read(
+    typeof input === "string"
+      ? fs.readFileSync(input)
+      : Buffer.from(input.buffer, input.byteOffset, input.byteLength)
+  );
+}
+
+// Diff two screenshots in a single pixelmatch pass. `task` holds the `base`
+// and `target` images (paths or PNG bytes), the diff `options` and the
+// `colors` of each side. Returns the similarity details plus the encoded
+// `diffImage` and `annotatedImage`, and how long each phase took.
+async function diffImages(task) {
+  if (!pixelmatch) {
+    pixelmatch = (await import("pixelmatch")).default;
+  }
+
+  const { options, colors } = task;
+  const timings = {};
+  let phaseStart = Date.now();
+  const endPhase = (name) => {
+    const now = Date.now();
+    timings[name] = now - phaseStart;
+    phaseStart = now;
+  };
+
+  const baseline = readImage(task.base); // Base environment
+  const current = readImage(task.target); // Target environment
+  endPhase("decodeMs");
+
+  const width = Math.max(baseline.width, current.width);
+  let height = Math.max(baseline.height, current.height);
+  const heightDelta = current.height - baseline.height;
+
+  let img1 = padImage(baseline, width, height);
+  let img2 = padImage(current, width, height);
+  let { covered, ignoredPixels } = applyIgnoreRegions(
+    [img1, img2],
+    options.ignoreRegions
+  );
+
+  // Re-lay out both pages so content after an inserted or removed block is
+  // compared with its counterpart rather than with whatever now sits at the
+  // same offset. Diff images and regions then use the aligned coordinates;
+  // each region also carries its row range on either screenshot.
+  let rowShifts;
+  let alignedRows;
+  if (options.alignRows) {
+    const aligned = alignRows(
+      img1,
+      img2,
+      baseline.height,
+      current.height,
+      covered
+    );
+    ({ base: img1, target: img2, height, covered, ignoredPixels } = aligned);
+    rowShifts = aligned.shifts;
+    alignedRows = aligned.rows;
+  }
+
+  // Change regions are boxed on the target as captured, without the padding
+  // painted below
+  const padding = getPaddingMask(width, height, baseline, current, alignedRows);
+  let annotationImage = img2;
+  if (padding) {
+    if (padding.includes(2)) {
+      annotationImage = new PNG({ width, height });
+      annotationImage.data.set(img2.data);
+    }
+    paintPadding(img1, img2, padding, covered);
+  }
+  endPhase("alignMs");
+
+  const diffColors = [colors.target, colors.base];
+  const matchOptions = {
+    threshold: options.pixelmatchThreshold,
+    includeAA: options.includeAA,
+  };
+
+  const diff = new PNG({ width, height });
+  const mismatchedPixels = pixelmatch(
+    img1.data,
+    img2.data,
+    diff.data,
+    width,
+    height,
+    {
+      ...matchOptions,
+      aaColor: AA_COLOR,
+      diffColor: colors.target, // Target environment differences
+      diffColorAlt: colors.base, // Base environment differences
+    }
+  );
+
+  // The mask marks only real mismatches (not anti-aliasing), which are then
+  // clustered into change regions and boxed on a copy of the target image.
+  // It is read back from the diff image unless the configured colors make
+  // that ambiguous, which costs a second pass.
+  let mask;
+  if (canReadMaskFromDiff(diffColors)) {
+    mask = readMaskFromDiff(diff, diffColors);
+  } else {
+    mask = new PNG({ width, height });
+    pixelmatch(img1.data, img2.data, mask.data, width, height, {
+      ...matchOptions,
+      diffColor: MASK_COLOR,
+      diffMask: true,
+    });
+  }
+  let diffRegions = findDiffRegions(mask.data, width, height, {
+    gap: options.regionGap,
+  });
+  if (alignedRows) {
+    diffRegions = mapRegionRows(diffRegions, alignedRows);
+  }
+  endPhase("diffMs");
+
+  const ssimSimilarity = computeSsim(img1, img2, width, height, covered);
+  endPhase("ssimMs");
+
+  const diffImage = PNG.sync.write(diff);
+  const annotatedImage = PNG.sync.write(
+    drawRegionBoxes(annotationImage, diffRegions)
+  );
+  endPhase("encodeMs");
+
+  const totalPixels = width * height - ignoredPixels;
+  const matchedPixels = totalPixels - mismatchedPixels;
+
+  return {
+    baseSize: [baseline.width, baseline.height],
+    targetSize: [current.width, current.height],
+    pixelSimilarity:
+      totalPixels > 0 ? (matchedPixels / totalPixels) * 100 : 100,
+    ssimSimilarity,
+    width,
+    height,
+    heightDelta,
+    ignoredPixels,
+    diffRegions,
+    diffFingerprint: mismatchedPixels > 0 ? getDiffFingerprint(mask) : null,
+    rowShifts,
+    diffImage,
+    annotatedImage,
+    timings,
+  };
+}
+
+module.exports = { diffImages };
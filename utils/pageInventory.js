@@ -0,0 +1,82 @@
+const fs = require("fs");
+const path = require("path");
+const { getPathProblem } = require("./config.js");
+const { getSitemapPaths } = require("./sitemap.js");
+const { RESULTS_ROOT } = require("./results.js");
+
+// Page list resolved by global setup for the test files to read synchronously
+const PAGE_INVENTORY_PATH = path.join(RESULTS_ROOT, "pages.json");
+
+// Merge discovered paths into the static list, keeping config order first and
+// dropping duplicates or paths that would fail config validation
+function mergePagePaths(staticPaths, discoveredPaths) {
+  const merged = [...staticPaths];
+  const seen = new Set(staticPaths);
+
+  for (const pagePath of discoveredPaths) {
+    if (seen.has(pagePath) || getPathProblem(pagePath)) {
+      continue;
+    }
+    seen.add(pagePath);
+    merged.push(pagePath);
+  }
+
+  return merged;
+}
+
+// Read the page list written by `npm run crawl`
+function readCrawlInventory(crawlerConfig) {
+  const inventoryPath = path.resolve(
+    __dirname,
+    "..",
+    crawlerConfig.output || "page-inventory.json"
+  );
+  if (!fs.existsSync(inventoryPath)) {
+    throw new Error(
+      `Crawler is enabled but ${inventoryPath} does not exist. Run \`npm run crawl\` first.`
+    );
+  }
+  return JSON.parse(fs.readFileSync(inventoryPath, "utf8")).paths || [];
+}
+
+// Resolve every page path to test: config.paths plus any enabled URL sources
+async function resolvePagePaths(config) {
+  let pagePaths = config.paths;
+
+  if (config.sitemap && config.sitemap.enabled) {
+    const sitemapPaths = await getSitemapPaths(
+      config.sitemap,
+      config.environments
+    );
+    pagePaths = mergePagePaths(pagePaths, sitemapPaths);
+  }
+
+  if (config.crawler && config.crawler.enabled) {
+    pagePaths = mergePagePaths(pagePaths, readCrawlInventory(config.crawler));
+  }
+
+  return pagePaths;
+}
+
+// Save the resolved page list for this run
+function writePageInventory(pagePaths) {
+  fs.mkdirSync(path.dirname(PAGE_INVENTORY_PATH), { recursive: true });
+  fs.writeFileSync(PAGE_INVENTORY_PATH, JSON.stringify(pagePaths, null, 2));
+}
+
+// Read the page list saved by global setup. Test files are loaded
+// synchronously, so this falls back to config.paths when setup has not run
+// (e.g. `npx playwright test --list`).
+function readPageInventory(config) {
+  if (!fs.existsSync(PAGE_INVENTORY_PATH)) {
+    return config.paths;
+  }
+  return JSON.parse(fs.readFileSync(PAGE_INVENTORY_PATH, "utf8"));
+}
+
+module.exports = {
+  mergePagePaths,
+  resolvePagePaths,
+  writePageInventory,
+  readPageInventory,
+};
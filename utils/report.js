@@ -0,0 +1,828 @@
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+const sharp = require("sharp");
+const { DEFAULT_PASS_THRESHOLD } = require("./screenshots.js");
+const { readRunManifest, getManifestEntry } = require("./results.js");
+const { cropRegion } = require("./diffRegions.js");
+const { getPageSlug } = require("./fileNames.js");
+const { describeRowShift } = require("./rowAlignment.js");
+
+// Change regions listed with before/after snippets per page; the rest are
+// only counted
+const MAX_LISTED_REGIONS = 10;
+
+// Report image modes: "thumbnails" writes small previews and full-size copies
+// to a folder next to the report, "embedded" inlines every full image as Base64
+// so the report is a single self-contained file
+const REPORT_MODES = ["thumbnails", "embedded"];
+const DEFAULT_THUMBNAIL_WIDTH = 350;
+
+// How each similarity metric is named in the report
+const METRIC_LABELS = { pixel: "Pixel", ssim: "SSIM" };
+
+// Convert image to Base64
+function imageToBase64(imagePath) {
+  if (fs.existsSync(imagePath)) {
+    const imageData = fs.readFileSync(imagePath).toString("base64");
+    const ext = path.extname(imagePath).replace(".", ""); // Get file extension (e.g., png)
+    return `data:image/${ext};base64,${imageData}`;
+  }
+  return null; // Return null if image is missing
+}
+
+// Encode an in-memory PNG as a data URL
+function pngToBase64(image) {
+  return `data:image/png;base64,${PNG.sync.write(image).toString("base64")}`;
+}
+
+// Folder holding a report's thumbnails and full-size images
+function getReportAssetsDir(reportPath) {
+  return reportPath.replace(/\.html$/, "_files");
+}
+
+// Create the image writer for a report. `image()` returns the `src` shown in
+// the report and the `full` size link (null when embedded); `png()` returns the
+// `src` of an in-memory image such as a region snippet.
+function createReportAssets(reportPath, reportConfig = {}) {
+  const mode = reportConfig.mode || "thumbnails";
+  if (!REPORT_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown report mode "${mode}". Use one of: ${REPORT_MODES.join(", ")}.`
+    );
+  }
+
+  const assetsDir = getReportAssetsDir(reportPath);
+  fs.rmSync(assetsDir, { recursive: true, force: true });
+
+  if (mode === "embedded") {
+    return {
+      image: async (imagePath) => {
+        const src = imageToBase64(imagePath);
+        return src && { src, full: null };
+      },
+      png: async (image) => pngToBase64(image),
+    };
+  }
+
+  // Links are relative so the report and its folder can be moved together
+  const assetsUrl = path.basename(assetsDir);
+  const write = (folder, fileName, data) => {
+    fs.mkdirSync(path.join(assetsDir, folder), { recursive: true });
+    fs.writeFileSync(path.join(assetsDir, folder, fileName), data);
+    return `${assetsUrl}/${folder}/${fileName}`;
+  };
+
+  return {
+    image: async (imagePath, name) => {
+      if (!fs.existsSync(imagePath)) {
+        return null;
+      }
+      const thumbnail = await sharp(imagePath)
+        .resize({
+          width: reportConfig.thumbnailWidth || DEFAULT_THUMBNAIL_WIDTH,
+          withoutEnlargement: true,
+        })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+      return {
+        src: write("thumbs", `${name}.jpg`, thumbnail),
+        full: write("full", `${name}.png`, fs.readFileSync(imagePath)),
+      };
+    },
+    png: async (image, name) =>
+      write("snippets", `${name}.png`, PNG.sync.write(image)),
+  };
+}
+
+// Escape text for safe inclusion in the HTML report
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Determine Pass/Fail/Error for a result against its own pass threshold. A
+// failing diff recorded in accepted-diffs.json is "Accepted" instead.
+function getResultStatus(result) {
+  if (typeof result.similarityPercentage !== "number") {
+    return "Error";
+  }
+  const passThreshold = result.passThreshold ?? DEFAULT_PASS_THRESHOLD;
+  if (result.similarityPercentage >= passThreshold) {
+    return "Pass";
+  }
+  return result.acceptance && result.acceptance.state === "accepted"
+    ? "Accepted"
+    : "Fail";
+}
+
+// Describe the acceptance of a failing diff, or null when there is none
+function getAcceptanceNote(result) {
+  const { acceptance } = result;
+  if (!acceptance || getResultStatus(result) === "Pass") {
+    return null;
+  }
+  if (acceptance.state === "expired") {
+    return `Accepted diff expired on ${acceptance.expires}`;
+  }
+  if (acceptance.state === "changed") {
+    return "Accepted diff no longer matches; the images have changed";
+  }
+  return `Accepted${acceptance.expires ? ` until ${acceptance.expires}` : ""}${
+    acceptance.reason ? `: ${acceptance.reason}` : ""
+  }`;
+}
+
+// Convert one page or component result into a JSON/JUnit export case
+function toVisualTestCase(result, name, classname, deviceName, artifacts) {
+  return {
+    name,
+    classname,
+    device: deviceName,
+    status: getResultStatus(result),
+    message:
+      result.error ||
+      (getResultStatus(result) === "Fail"
+        ? `${result.similarityPercentage.toFixed(2)}% similar${
+            result.metric ? ` (${METRIC_LABELS[result.metric]})` : ""
+          }, below the ${
+            result.passThreshold ?? DEFAULT_PASS_THRESHOLD
+          }% threshold`
+        : getAcceptanceNote(result)),
+    durationMs: result.durationMs,
+    properties: {
+      similarity:
+        typeof result.similarityPercentage === "number"
+          ? Number(result.similarityPercentage.toFixed(4))
+          : null,
+      threshold: result.passThreshold ?? DEFAULT_PASS_THRESHOLD,
+      metric: result.metric,
+      pixelSimilarity:
+        typeof result.pixelSimilarity === "number"
+          ? Number(result.pixelSimilarity.toFixed(4))
+          : null,
+      ssimSimilarity:
+        typeof result.ssimSimilarity === "number"
+          ? Number(result.ssimSimilarity.toFixed(4))
+          : null,
+      pixelmatchThreshold: result.pixelmatchThreshold,
+      heightDelta: result.heightDelta,
+      rowShifts:
+        result.rowShifts && result.rowShifts.map(describeRowShift).join("; "),
+      changeRegions: result.diffRegions && result.diffRegions.length,
+      errorType: result.errorType,
+      captureMs: result.timings && result.timings.captureMs,
+      compareMs:
+        result.timings && (result.timings.compareMs ?? result.timings.totalMs),
+    },
+    artifacts,
+  };
+}
+
+// Convert visual comparison results into JSON/JUnit export cases, one per
+// page plus one per compared component and interaction state
+function toVisualTestCases(resultsByDevice, pair) {
+  return Object.entries(resultsByDevice).flatMap(([deviceName, results]) =>
+    results.flatMap((result) => [
+      toVisualTestCase(
+        result,
+        result.pagePath,
+        `visual.${pair.id}.${deviceName}`,
+        deviceName,
+        result.artifacts
+          ? {
+              base: result.artifacts.base.screenshot,
+              target: result.artifacts.target.screenshot,
+              diff: result.artifacts.diff,
+              annotated: result.artifacts.annotated,
+            }
+          : {}
+      ),
+      ...(result.components || []).map((component) =>
+        toVisualTestCase(
+          component,
+          `${result.pagePath} [${component.name}]`,
+          `visual.${pair.id}.${deviceName}.components`,
+          deviceName,
+          component.artifacts
+        )
+      ),
+      ...(result.states || []).map((state) =>
+        toVisualTestCase(
+          state,
+          `${result.pagePath} [${state.name}]`,
+          `visual.${pair.id}.${deviceName}.states`,
+          deviceName,
+          state.artifacts
+        )
+      ),
+    ])
+  );
+}
+
+// List a page's change regions with cropped before/after snippets. Regions of
+// row-aligned diffs are cropped at each side's own rows, and a side the
+// region has no content on (an inserted or removed band) gets no snippet.
+async function renderDiffRegions(result, entry, pair, assets) {
+  const regions = result.diffRegions || [];
+  if (regions.length === 0 || !entry) {
+    return "";
+  }
+
+  const readImage = (imagePath) =>
+    fs.existsSync(imagePath) ? PNG.sync.read(fs.readFileSync(imagePath)) : null;
+  const baseImage = readImage(entry.base.screenshot);
+  const targetImage = readImage(entry.target.screenshot);
+
+  const slug = getPageSlug(result.pagePath);
+  const items = [];
+  for (const [index, region] of regions
+    .slice(0, MAX_LISTED_REGIONS)
+    .entries()) {
+    const snippet = async (image, side, label) =>
+      image && region[side] !== null
+        ? `<div class="image-wrapper">
+             <img src="${await assets.png(
+               cropRegion(image, { ...region, ...region[side] }),
+               `${slug}-region-${index + 1}-${side}`
+             )}" alt="${label}">
+             <div class="image-label ${side}">${label}</div>
+           </div>`
+        : "";
+    items.push(`
+          <div class="region">
+            <div class="region-info">
+              <div><b>#${index + 1}</b> at x ${region.x}, y ${region.y}</div>
+              <div>${region.width} × ${region.height}px</div>
+              <div class="cell-note">${region.pixels} changed pixels</div>
+            </div>
+            ${await snippet(baseImage, "base", pair.base.label)}
+            ${await snippet(targetImage, "target", pair.target.label)}
+          </div>`);
+  }
+
+  return `
+        <details class="regions">
+          <summary>Change regions (${regions.length})</summary>${items.join(
+    ""
+  )}${
+    regions.length > MAX_LISTED_REGIONS
+      ? `<p class="cell-note">${
+          regions.length - MAX_LISTED_REGIONS
+        } more regions not listed</p>`
+      : ""
+  }
+        </details>`;
+}
+
+// Render one report image that opens the viewer, with a link to the
+// full-size file when the report uses thumbnails
+function renderImage(image, role, label) {
+  if (!image) {
+    return "N/A";
+  }
+  return `<div class="image-wrapper">
+                   <img src="${image.src}"${
+    image.full ? ` data-full="${image.full}"` : ""
+  } data-role="${role}" onclick="openViewer(this, 'side')" alt="${label}">
+                   <div class="image-label">${
+                     image.full
+                       ? `<a href="${image.full}" target="_blank">${label}</a>`
+                       : label
+                   }</div>
+                 </div>`;
+}
+
+// Render one table row per compared component or interaction state (`key`
+// of the page results), grouped by page
+async function renderComponentRows(results, key, pair, assets) {
+  const rows = [];
+
+  for (const result of results) {
+    const pageSlug = getPageSlug(result.pagePath);
+    for (const component of result[key] || []) {
+      const name = `${pageSlug}-${key}-${getPageSlug(component.name)}`;
+      const image = (imagePath, role) =>
+        assets.image(imagePath, `${name}-${role}`);
+      const statusText = getResultStatus(component);
+
+      rows.push(`
+    <tr data-status="${statusText}" data-path="${escapeHtml(result.pagePath)}">
+      <td>${escapeHtml(result.pagePath)}</td>
+      <td>${escapeHtml(component.name)}<div class="cell-note">${escapeHtml(
+        component.selector
+      )}</div></td>
+      <td>${
+        typeof component.similarityPercentage === "number"
+          ? component.similarityPercentage.toFixed(2) + "%"
+          : "Error"
+      }${
+        component.error
+          ? `<div class="cell-note">${escapeHtml(component.error)}</div>`
+          : ""
+      }${
+        component.heightDelta
+          ? `<div class="cell-note">Height: ${
+              component.heightDelta > 0 ? "+" : ""
+            }${component.heightDelta}px</div>`
+          : ""
+      }</td>
+      <td>≥ ${component.passThreshold ?? DEFAULT_PASS_THRESHOLD}%${
+        component.metric ? ` ${METRIC_LABELS[component.metric]}` : ""
+      }</td>
+      <td class="status-${statusText.toLowerCase()}">${statusText}${
+        getAcceptanceNote(component)
+          ? `<div class="cell-note">${escapeHtml(
+              getAcceptanceNote(component)
+            )}</div>`
+          : ""
+      }</td>
+      <td>
+        <div class="image-container">
+          ${renderImage(
+            await image(component.artifacts.base, "base"),
+            "base",
+            pair.base.label
+          )}
+          ${renderImage(
+            await image(component.artifacts.target, "target"),
+            "target",
+            pair.target.label
+          )}
+          ${renderImage(
+            await image(component.artifacts.diff, "diff"),
+            "diff",
+            "Diff"
+          )}
+        </div>
+      </td>
+    </tr>`);
+    }
+  }
+
+  return rows.join("");
+}
+
+// Generate the HTML report for a device, with thumbnails linking to full-size
+// images or, in "embedded" mode, Base64 embedded images
+async function generateHtmlReport(results, deviceName, pair, config) {
+  const reportPath = `visual_comparison_report_${pair.id}_${deviceName}.html`;
+  const assets = createReportAssets(reportPath, config.report);
+  const { base, target } = pair;
+  const manifest = readRunManifest(pair);
+  const now = new Date().toLocaleString();
+
+  // Count passed, failed, and errors
+  const passed = results.filter((r) => getResultStatus(r) === "Pass").length;
+  const failed = results.filter((r) => getResultStatus(r) === "Fail").length;
+  const errors = results.filter(
+    (r) => r.similarityPercentage === "Error"
+  ).length;
+  const accepted = results.filter(
+    (r) => getResultStatus(r) === "Accepted"
+  ).length;
+  // Time spent across all test workers, for pages that recorded timings
+  const totalSeconds = (key) =>
+    (
+      results.reduce(
+        (total, r) => total + ((r.timings && r.timings[key]) || 0),
+        0
+      ) / 1000
+    ).toFixed(1);
+  const subSummary = (label, key) => {
+    const items = results.flatMap((r) => r[key] || []);
+    const count = (status) =>
+      items.filter((item) => getResultStatus(item) === status).length;
+    return items.length > 0
+      ? `
+        <p>${label} Compared: <span>${
+          items.length
+        }</span> | Passed: <span class="passed">${count(
+          "Pass"
+        )}</span> | Failed: <span class="failed">${count(
+          "Fail"
+        )}</span> | Errors: <span class="errors">${count("Error")}</span></p>`
+      : "";
+  };
+
+  // **SORT RESULTS: Failed first, then errors, then passed**
+  results.sort((a, b) => {
+    if (a.similarityPercentage === "Error") return -1;
+    if (b.similarityPercentage === "Error") return 1;
+    if (
+      typeof a.similarityPercentage === "number" &&
+      typeof b.similarityPercentage === "number"
+    ) {
+      return a.similarityPercentage - b.similarityPercentage; // Lower similarity first
+    }
+    return 0;
+  });
+
+  let htmlContent = `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <title>Visual Comparison Report - ${base.label} vs ${
+    target.label
+  } - ${deviceName}</title>
+      <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1, h2 { text-align: center; }
+        .summary { text-align: center; margin-bottom: 20px; }
+        .summary p { font-size: 16px; }
+        .summary span { font-weight: bold; }
+        .summary .passed { color: green; }
+        .summary .failed { color: red; }
+        .summary .errors { color: orange; }
+        .base { color: rgb(${base.color.join(",")}); font-weight: bold; }
+        .target { color: rgb(${target.color.join(",")}); font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: center; vertical-align: middle; }
+        th { background-color: #f2f2f2; }
+        .image-container { display: flex; justify-content: center; align-items: center; gap: 15px; }
+        .image-wrapper { display: flex; flex-direction: column; align-items: center; }
+        .image-container img { width: 350px; cursor: pointer; border: 1px solid #ddd; }
+        .image-label { font-size: 14px; font-weight: bold; margin-top: 5px; text-align: center; }
+        .status-pass { color: green; font-weight: bold; }
+        .status-fail { color: red; font-weight: bold; }
+        .status-error { color: orange; font-weight: bold; }
+        .status-accepted { color: teal; font-weight: bold; }
+        .cell-note { font-size: 12px; color: #666; margin-top: 4px; }
+        .regions { margin-top: 10px; text-align: left; }
+        .regions summary { cursor: pointer; font-weight: bold; }
+        .region { display: flex; align-items: flex-start; gap: 15px; margin: 10px 0; padding-top: 10px; border-top: 1px solid #eee; }
+        .region-info { width: 180px; font-size: 14px; }
+        .region img { max-width: 300px; border: 1px solid #ddd; }
+        .criteria { font-size: 14px; text-align: center; margin-top: 10px; font-weight: bold; }
+        .toolbar { display: flex; justify-content: center; align-items: center; gap: 10px; margin-top: 20px; }
+        .toolbar button, .viewer-header button { padding: 6px 12px; border: 1px solid #ccc; background: #fff; cursor: pointer; }
+        .toolbar button.active, .viewer-header button.active { background: #333; color: #fff; }
+        .toolbar input { padding: 6px; width: 260px; }
+        .viewer { display: none; position: fixed; z-index: 1000; inset: 0; background-color: rgba(0,0,0,0.9); flex-direction: column; }
+        .viewer-header { display: flex; align-items: center; gap: 8px; padding: 10px 20px; color: white; }
+        .viewer-header .viewer-title { flex: 1; font-weight: bold; }
+        .viewer-header input[type=range] { width: 160px; }
+        .viewer-body { flex: 1; display: flex; gap: 10px; padding: 0 20px 20px; min-height: 0; }
+        .viewer-pane { flex: 1; position: relative; overflow: hidden; background: #222; cursor: grab; }
+        .viewer-pane.dragging { cursor: grabbing; }
+        .viewer-pane-label { position: absolute; top: 5px; left: 5px; z-index: 2; padding: 2px 6px; background: rgba(0,0,0,0.6); color: white; font-size: 12px; }
+        .viewer-layer { position: absolute; top: 0; left: 0; transform-origin: 0 0; }
+        .viewer-layer img { position: absolute; top: 0; left: 0; display: block; max-width: none; user-select: none; pointer-events: none; }
+        .viewer-divider { position: absolute; top: 0; bottom: 0; width: 2px; background: #fff; z-index: 1; pointer-events: none; }
+      </style>
+    </head>
+    <body>
+      <h1>Visual Comparison Report</h1>
+      <h2>${base.label} vs ${target.label} - Device: ${deviceName}</h2>
+      <div class="summary">
+        <p><span class="base">${base.label}:</span> ${
+    base.baseUrl
+  } | <span class="target">${target.label}:</span> ${target.baseUrl}</p>
+        <p>Total Pages Tested: <span>${results.length}</span></p>
+        <p>Passed: <span class="passed">${passed}</span> | Failed: <span class="failed">${failed}</span> | Errors: <span class="errors">${errors}</span> | Accepted: <span class="status-accepted">${accepted}</span></p>${subSummary(
+    "Components",
+    "components"
+  )}${subSummary("Interaction States", "states")}${
+    results.some((r) => r.timings && r.timings.captureMs !== undefined)
+      ? `
+        <p>Capture Time: <span>${totalSeconds(
+          "captureMs"
+        )}s</span> | Compare Time: <span>${totalSeconds(
+          "compareMs"
+        )}s</span> (summed over all workers)</p>`
+      : ""
+  }
+        <p>Last Run: ${now}</p>
+        <a href="${reportPath}" download>Download Report</a>
+      </div>
+      <p class="criteria">✅ Success Criteria: A similarity score on the page's metric (default ${
+        METRIC_LABELS[(config.defaults || {}).metric] || METRIC_LABELS.pixel
+      }) at or above its threshold (default ${
+    (config.defaults || {}).passThreshold ?? DEFAULT_PASS_THRESHOLD
+  }%) is considered a pass.</p>
+      <div class="toolbar">
+        <span>Show:</span>
+        <button class="active" data-filter="All" onclick="setStatusFilter(this)">All</button>
+        <button data-filter="Pass" onclick="setStatusFilter(this)">Passed</button>
+        <button data-filter="Fail" onclick="setStatusFilter(this)">Failed</button>
+        <button data-filter="Error" onclick="setStatusFilter(this)">Errors</button>
+        <button data-filter="Accepted" onclick="setStatusFilter(this)">Accepted</button>
+        <input id="path-search" type="search" placeholder="Search by path" oninput="applyFilters()">
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>Similarity</th>
+            <th>Threshold</th>
+            <th>Status</th>
+            <th>Images</th>
+          </tr>
+        </thead>
+        <tbody>
+  `;
+
+  for (const result of results) {
+    const entry = getManifestEntry(manifest, deviceName, result.pagePath);
+    const slug = getPageSlug(result.pagePath);
+    const image = async (imagePath, role) =>
+      entry && imagePath ? assets.image(imagePath, `${slug}-${role}`) : null;
+    const baseImage = await image(entry && entry.base.screenshot, "base");
+    const targetImage = await image(entry && entry.target.screenshot, "target");
+    const diffImage = await image(entry && entry.diff, "diff");
+    const annotatedImage = await image(entry && entry.annotated, "annotated");
+
+    const statusText = getResultStatus(result);
+    const statusClass = `status-${statusText.toLowerCase()}`;
+
+    htmlContent += `
+    <tr data-status="${statusText}" data-path="${escapeHtml(result.pagePath)}">
+      <td>
+        <div>${escapeHtml(result.pagePath)}</div>
+        <a href="${
+          entry ? entry.base.url : `${base.baseUrl}${result.pagePath}`
+        }" target="_blank" class="base">${base.label}</a> | 
+        <a href="${
+          entry ? entry.target.url : `${target.baseUrl}${result.pagePath}`
+        }" target="_blank" class="target">${target.label}</a>
+      </td>
+      <td>${
+        typeof result.similarityPercentage === "number"
+          ? result.similarityPercentage.toFixed(2) + "%"
+          : result.errorType === "capture"
+          ? "Capture Error"
+          : "Error"
+      }${
+      typeof result.ssimSimilarity === "number"
+        ? `<div class="cell-note">Pixel: ${result.pixelSimilarity.toFixed(
+            2
+          )}% | SSIM: ${result.ssimSimilarity.toFixed(2)}%</div>`
+        : ""
+    }${
+      result.error
+        ? `<div class="cell-note">${escapeHtml(result.error)}</div>`
+        : ""
+    }${
+      result.heightDelta
+        ? `<div class="cell-note">Height: ${result.heightDelta > 0 ? "+" : ""}${
+            result.heightDelta
+          }px (${
+            result.heightDelta > 0 ? target.label : base.label
+          } taller)</div>`
+        : ""
+    }${(result.rowShifts || [])
+      .map(
+        (shift) =>
+          `<div class="cell-note">${
+            shift.type === "inserted" ? target.label : base.label
+          }: ${describeRowShift(shift)}</div>`
+      )
+      .join("")}${
+      result.diffRegions
+        ? `<div class="cell-note">${result.diffRegions.length} change region${
+            result.diffRegions.length === 1 ? "" : "s"
+          }</div>`
+        : ""
+    }</td>
+      <td>≥ ${result.passThreshold ?? DEFAULT_PASS_THRESHOLD}%${
+      result.metric ? ` ${METRIC_LABELS[result.metric]}` : ""
+    }${
+      result.pixelmatchThreshold !== undefined
+        ? `<div class="cell-note">pixelmatch: ${result.pixelmatchThreshold}</div>`
+        : ""
+    }</td>
+      <td class="${statusClass}">${statusText}${
+      getAcceptanceNote(result)
+        ? `<div class="cell-note">${escapeHtml(
+            getAcceptanceNote(result)
+          )}</div>`
+        : ""
+    }</td>
+      <td>
+        <div class="image-container">
+          ${renderImage(baseImage, "base", base.label)}
+          ${renderImage(targetImage, "target", target.label)}
+          ${renderImage(diffImage, "diff", "Diff")}
+          ${
+            annotatedImage
+              ? renderImage(annotatedImage, "annotated", "Changes")
+              : ""
+          }
+        </div>
+        ${
+          baseImage && targetImage
+            ? `<div class="cell-note">
+                 <a href="#" onclick="openViewer(this, 'slider'); return false;">Slider</a> |
+                 <a href="#" onclick="openViewer(this, 'onion'); return false;">Onion Skin</a> |
+                 <a href="#" onclick="openViewer(this, 'side'); return false;">Side by Side</a>
+               </div>`
+            : ""
+        }
+        ${await renderDiffRegions(result, entry, pair, assets)}
+      </td>
+    </tr>
+  `;
+  }
+
+  // Components and interaction states each get their own table
+  const subTable = async (title, column, key) => {
+    const rows = await renderComponentRows(results, key, pair, assets);
+    return rows
+      ? `<h2>${title}</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Page</th>
+            <th>${column}</th>
+            <th>Similarity</th>
+            <th>Threshold</th>
+            <th>Status</th>
+            <th>Images</th>
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`
+      : "";
+  };
+
+  htmlContent += `
+        </tbody>
+      </table>
+      ${await subTable("Components", "Component", "components")}
+      ${await subTable("Interaction States", "State", "states")}
+
+      <div id="viewer" class="viewer">
+        <div class="viewer-header">
+          <span class="viewer-title" id="viewer-title"></span>
+          <button data-mode="side" onclick="setViewerMode('side')">Side by Side</button>
+          <button data-mode="slider" onclick="setViewerMode('slider')">Slider</button>
+          <button data-mode="onion" onclick="setViewerMode('onion')">Onion Skin</button>
+          <input id="viewer-range" type="range" min="0" max="100" value="50" oninput="renderViewer()">
+          <button onclick="zoomViewer(1.25)">+</button>
+          <button onclick="zoomViewer(0.8)">-</button>
+          <button onclick="resetViewer()">Fit</button>
+          <button onclick="closeViewer()">&times;</button>
+        </div>
+        <div class="viewer-body" id="viewer-body"></div>
+      </div>
+
+      <script>
+        const LABELS = ${JSON.stringify({
+          base: base.label,
+          target: target.label,
+          diff: "Diff",
+          annotated: "Changes",
+        })};
+        const viewer = { images: {}, mode: "side", scale: 1, x: 0, y: 0 };
+
+        // Show only rows matching the selected status and the path search
+        function setStatusFilter(button) {
+          document.querySelectorAll(".toolbar button").forEach((b) => b.classList.toggle("active", b === button));
+          applyFilters();
+        }
+        function applyFilters() {
+          const status = document.querySelector(".toolbar button.active").dataset.filter;
+          const search = document.getElementById("path-search").value.trim().toLowerCase();
+          document.querySelectorAll("tbody tr").forEach((row) => {
+            const visible = (status === "All" || row.dataset.status === status) &&
+              row.dataset.path.toLowerCase().includes(search);
+            row.style.display = visible ? "" : "none";
+          });
+        }
+
+        // Open the viewer with the full-size images of the clicked row
+        function openViewer(element, mode) {
+          const row = element.closest("tr");
+          viewer.images = {};
+          row.querySelectorAll("img[data-role]").forEach((img) => { viewer.images[img.dataset.role] = img.dataset.full || img.src; });
+          document.getElementById("viewer-title").textContent = row.dataset.path;
+          document.getElementById("viewer").style.display = "flex";
+          setViewerMode(mode);
+        }
+        function closeViewer() {
+          document.getElementById("viewer").style.display = "none";
+          document.getElementById("viewer-body").innerHTML = "";
+        }
+
+        // Side by side shows every image in its own pane; slider and onion
+        // skin stack the target over the base in a single pane
+        function setViewerMode(mode) {
+          viewer.mode = mode;
+          document.querySelectorAll(".viewer-header button[data-mode]").forEach((b) => b.classList.toggle("active", b.dataset.mode === mode));
+          document.getElementById("viewer-range").style.display = mode === "side" ? "none" : "";
+          const panes = mode === "side"
+            ? Object.keys(viewer.images).map((role) => [role])
+            : [["base", "target"].filter((role) => viewer.images[role])];
+          const body = document.getElementById("viewer-body");
+          body.innerHTML = "";
+          panes.forEach((paneRoles) => {
+            const pane = document.createElement("div");
+            pane.className = "viewer-pane";
+            pane.innerHTML = '<div class="viewer-pane-label"></div><div class="viewer-layer"></div><div class="viewer-divider"></div>';
+            pane.querySelector(".viewer-pane-label").textContent = paneRoles.map((role) => LABELS[role]).join(" / ");
+            paneRoles.forEach((role) => {
+              const img = document.createElement("img");
+              img.src = viewer.images[role];
+              img.dataset.role = role;
+              pane.querySelector(".viewer-layer").appendChild(img);
+            });
+            attachPanZoom(pane);
+            body.appendChild(pane);
+          });
+          resetViewer();
+        }
+
+        // Apply the shared zoom/pan to every pane plus the slider/opacity blend
+        function renderViewer() {
+          const value = document.getElementById("viewer-range").value;
+          document.querySelectorAll(".viewer-pane").forEach((pane) => {
+            pane.querySelector(".viewer-layer").style.transform = "translate(" + viewer.x + "px, " + viewer.y + "px) scale(" + viewer.scale + ")";
+            const top = pane.querySelector('img[data-role="target"]');
+            const divider = pane.querySelector(".viewer-divider");
+            divider.style.display = viewer.mode === "slider" ? "" : "none";
+            if (!top || viewer.mode === "side") return;
+            if (viewer.mode === "slider") {
+              // Clip the target at the divider position in screen space
+              const width = top.naturalWidth * viewer.scale;
+              const dividerX = pane.clientWidth * value / 100;
+              const clip = Math.min(100, Math.max(0, (dividerX - viewer.x) / width * 100));
+              top.style.clipPath = "inset(0 0 0 " + clip + "%)";
+              top.style.opacity = 1;
+              divider.style.left = dividerX + "px";
+            } else {
+              top.style.clipPath = "none";
+              top.style.opacity = value / 100;
+            }
+          });
+        }
+
+        // Zoom around the centre of the first pane
+        function zoomViewer(factor, originX, originY) {
+          const pane = document.querySelector(".viewer-pane");
+          const cx = originX ?? pane.clientWidth / 2;
+          const cy = originY ?? pane.clientHeight / 2;
+          const scale = Math.min(8, Math.max(0.05, viewer.scale * factor));
+          viewer.x = cx - (cx - viewer.x) * scale / viewer.scale;
+          viewer.y = cy - (cy - viewer.y) * scale / viewer.scale;
+          viewer.scale = scale;
+          renderViewer();
+        }
+
+        // Fit the widest image to the pane width
+        function resetViewer() {
+          const pane = document.querySelector(".viewer-pane");
+          const imgs = [...document.querySelectorAll(".viewer-layer img")];
+          Promise.all(imgs.map((img) => img.decode().catch(() => {}))).then(() => {
+            const width = Math.max(1, ...imgs.map((img) => img.naturalWidth));
+            viewer.scale = pane ? pane.clientWidth / width : 1;
+            viewer.x = 0;
+            viewer.y = 0;
+            renderViewer();
+          });
+        }
+
+        // Dragging or scrolling in any pane pans/zooms all panes together
+        function attachPanZoom(pane) {
+          pane.addEventListener("mousedown", (event) => {
+            viewer.drag = { x: event.clientX - viewer.x, y: event.clientY - viewer.y };
+            pane.classList.add("dragging");
+          });
+          pane.addEventListener("wheel", (event) => {
+            event.preventDefault();
+            const rect = pane.getBoundingClientRect();
+            zoomViewer(event.deltaY < 0 ? 1.1 : 0.9, event.clientX - rect.left, event.clientY - rect.top);
+          }, { passive: false });
+        }
+
+        window.addEventListener("mousemove", (event) => {
+          if (!viewer.drag) return;
+          viewer.x = event.clientX - viewer.drag.x;
+          viewer.y = event.clientY - viewer.drag.y;
+          renderViewer();
+        });
+        window.addEventListener("mouseup", () => {
+          viewer.drag = null;
+          document.querySelectorAll(".viewer-pane").forEach((pane) => pane.classList.remove("dragging"));
+        });
+        document.addEventListener("keydown", (event) => {
+          if (event.key === "Escape") closeViewer();
+        });
+      </script>
+
+    </body>
+    </html>
+  `;
+
+  fs.writeFileSync(reportPath, htmlContent);
+}
+
+module.exports = {
+  escapeHtml,
+  getResultStatus,
+  toVisualTestCases,
+  generateHtmlReport,
+};
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+const { getPageSlug } = require("./fileNames.js");
+
+// Per-run working files: the page inventory and one result file per page
+const RESULTS_ROOT = "results";
+
+// When the current run started, written by global setup
+const RUN_STATE_PATH = path.join(RESULTS_ROOT, "run.json");
+
+// Path of the result file for a page, grouped by comparison and device
+function getResultPath(pair, deviceName, pagePath) {
+  return path.join(
+    RESULTS_ROOT,
+    pair.id,
+    deviceName,
+    `${getPageSlug(pagePath)}.json`
+  );
+}
+
+// Write one page result so it can be aggregated after all workers finish.
+// A retried test simply overwrites the result of its previous attempt.
+function writePageResult(pair, deviceName, result) {
+  const resultPath = getResultPath(pair, deviceName, result.pagePath);
+  fs.mkdirSync(path.dirname(resultPath), { recursive: true });
+  fs.writeFileSync(resultPath, JSON.stringify(result, null, 2));
+}
+
+// Read the result of one page, or null if it was not compared in the last run
+function readPageResult(pair, deviceName, pagePath) {
+  const resultPath = getResultPath(pair, deviceName, pagePath);
+  if (!fs.existsSync(resultPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(resultPath, "utf8"));
+}
+
+// Read every page result for a comparison, grouped by device name. Device
+// folders without results are left out, so they get no (empty) report.
+function readPageResults(pair) {
+  const pairDir = path.join(RESULTS_ROOT, pair.id);
+  const resultsByDevice = {};
+
+  if (!fs.existsSync(pairDir)) {
+    return resultsByDevice;
+  }
+
+  for (const deviceName of fs.readdirSync(pairDir)) {
+    const deviceDir = path.join(pairDir, deviceName);
+    if (!fs.statSync(deviceDir).isDirectory()) {
+      continue;
+    }
+    const results = fs
+      .readdirSync(deviceDir)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) =>
+        JSON.parse(fs.readFileSync(path.join(deviceDir, file), "utf8"))
+      );
+    if (results.length > 0) {
+      resultsByDevice[deviceName] = results;
+    }
+  }
+
+  return resultsByDevice;
+}
+
+// Write one test case result for a suite (e.g. "page-tests"), keyed so a
+// retried test overwrites its previous attempt
+function writeCaseResult(suite, key, testCase) {
+  const casePath = path.join(
+    RESULTS_ROOT,
+    suite,
+    "cases",
+    `${getPageSlug(key)}.json`
+  );
+  fs.mkdirSync(path.dirname(casePath), { recursive: true });
+  fs.writeFileSync(casePath, JSON.stringify(testCase, null, 2));
+}
+
+// Read every test case result written for a suite
+function readCaseResults(suite) {
+  const casesDir = path.join(RESULTS_ROOT, suite, "cases");
+  if (!fs.existsSync(casesDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(casesDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) =>
+      JSON.parse(fs.readFileSync(path.join(casesDir, file), "utf8"))
+    );
+}
+
+// Path of the run manifest for a comparison
+function getManifestPath(pair) {
+  return path.join(RESULTS_ROOT, pair.id, "manifest.json");
+}
+
+// Write the run manifest: for every device and page, the URL, environment and
+// screenshot path on each side plus the diff image path
+function writeRunManifest(pair, resultsByDevice) {
+  const describe = ({ name, label, baseUrl }) => ({ name, label, baseUrl });
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    comparison: pair.id,
+    base: describe(pair.base),
+    target: describe(pair.target),
+    entries: Object.values(resultsByDevice)
+      .flat()
+      .filter((result) => result.artifacts)
+      .map((result) => result.artifacts),
+  };
+
+  fs.mkdirSync(path.dirname(getManifestPath(pair)), { recursive: true });
+  fs.writeFileSync(getManifestPath(pair), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// Read the run manifest for a comparison, or null if none was written
+function readRunManifest(pair) {
+  const manifestPath = getManifestPath(pair);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+// Find the manifest entry for a device and page
+function getManifestEntry(manifest, deviceName, pagePath) {
+  return (
+    (manifest &&
+      manifest.entries.find(
+        (entry) => entry.device === deviceName && entry.pagePath === pagePath
+      )) ||
+    null
+  );
+}
+
+// Record when this run started, so teardown can tell its results apart from
+// those of earlier runs
+function startRun(startedAt = Date.now()) {
+  fs.mkdirSync(RESULTS_ROOT, { recursive: true });
+  fs.writeFileSync(RUN_STATE_PATH, JSON.stringify({ startedAt }, null, 2));
+}
+
+// When the current run started, or 0 (every result is current) if unknown
+function getRunStartedAt() {
+  if (!fs.existsSync(RUN_STATE_PATH)) {
+    return 0;
+  }
+  return JSON.parse(fs.readFileSync(RUN_STATE_PATH, "utf8")).startedAt;
+}
+
+// Keep only the result files under `dir`'s subfolders (device or `cases`
+// folders) written since `since`, removing subfolders left empty, and return
+// whether there were any. When a
+// run wrote none there, e.g. only unit specs ran, the previous run's results
+// are left untouched instead of being replaced by an empty set.
+function keepRunResults(dir, since) {
+  if (!fs.existsSync(dir)) {
+    return false;
+  }
+
+  const subfolders = fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => path.join(dir, entry.name));
+  const files = subfolders.flatMap((subfolder) =>
+    fs
+      .readdirSync(subfolder)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => path.join(subfolder, file))
+  );
+  const isCurrent = (file) => fs.statSync(file).mtimeMs >= since;
+  if (!files.some(isCurrent)) {
+    return false;
+  }
+
+  for (const file of files.filter((file) => !isCurrent(file))) {
+    fs.rmSync(file);
+  }
+  for (const subfolder of subfolders) {
+    if (fs.readdirSync(subfolder).length === 0) {
+      fs.rmdirSync(subfolder);
+    }
+  }
+  return true;
+}
+
+module.exports = {
+  RESULTS_ROOT,
+  writePageResult,
+  readPageResult,
+  readPageResults,
+  writeCaseResult,
+  readCaseResults,
+  startRun,
+  getRunStartedAt,
+  keepRunResults,
+  writeRunManifest,
+  readRunManifest,
+  getManifestEntry,
+};
@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const { PNG } = require("pngjs");
+
+// Shortest run of identical rows trusted as an alignment anchor; shorter
+// matches (e.g. a single shared border row) are treated as changed content
+const MIN_MATCHING_ROWS = 8;
+
+// Rows occurring more often than this share of the page (blank rows, flat
+// backgrounds) cannot start a match, only extend one
+const POPULAR_ROW_SHARE = 0.01;
+
+// Hash every row of an image up to `height`
+function hashRows(image, height) {
+  const rowBytes = image.width * 4;
+  const hashes = [];
+  for (let y = 0; y < height; y++) {
+    hashes.push(
+      crypto
+        .createHash("sha1")
+        .update(image.data.subarray(y * rowBytes, (y + 1) * rowBytes))
+        .digest("base64")
+    );
+  }
+  return hashes;
+}
+
+// Longest run of identical rows between a[alo..ahi) and b[blo..bhi), seeded
+// from non-popular rows and then extended over any equal rows
+function findLongestMatch(a, b, rowIndex, alo, ahi, blo, bhi) {
+  let bestA = alo;
+  let bestB = blo;
+  let bestSize = 0;
+  let runLengths = new Map();
+
+  for (let i = alo; i < ahi; i++) {
+    const nextRunLengths = new Map();
+    for (const j of rowIndex.get(a[i]) || []) {
+      if (j < blo) {
+        continue;
+      }
+      if (j >= bhi) {
+        break;
+      }
+      const size = (runLengths.get(j - 1) || 0) + 1;
+      nextRunLengths.set(j, size);
+      if (size > bestSize) {
+        bestA = i - size + 1;
+        bestB = j - size + 1;
+        bestSize = size;
+      }
+    }
+    runLengths = nextRunLengths;
+  }
+
+  while (bestA > alo && bestB > blo && a[bestA - 1] === b[bestB - 1]) {
+    bestA--;
+    bestB--;
+    bestSize++;
+  }
+  while (
+    bestA + bestSize < ahi &&
+    bestB + bestSize < bhi &&
+    a[bestA + bestSize] === b[bestB + bestSize]
+  ) {
+    bestSize++;
+  }
+
+  return { a: bestA, b: bestB, size: bestSize };
+}
+
+// Find the blocks of identical rows shared by two row-hash lists, in order
+function getMatchingBlocks(a, b) {
+  const rowIndex = new Map();
+  b.forEach((hash, j) => {
+    if (!rowIndex.has(hash)) {
+      rowIndex.set(hash, []);
+    }
+    rowIndex.get(hash).push(j);
+  });
+
+  const popularLimit = Math.max(1, Math.floor(b.length * POPULAR_ROW_SHARE));
+  if (b.length >= 200) {
+    for (const [hash, rows] of rowIndex) {
+      if (rows.length > popularLimit) {
+        rowIndex.delete(hash);
+      }
+    }
+  }
+
+  const blocks = [];
+  const queue = [[0, a.length, 0, b.length]];
+  while (queue.length > 0) {
+    const [alo, ahi, blo, bhi] = queue.pop();
+    const match = findLongestMatch(a, b, rowIndex, alo, ahi, blo, bhi);
+    if (match.size < MIN_MATCHING_ROWS) {
+      continue;
+    }
+    blocks.push(match);
+    if (alo < match.a && blo < match.b) {
+      queue.push([alo, match.a, blo, match.b]);
+    }
+    if (match.a + match.size < ahi && match.b + match.size < bhi) {
+      queue.push([match.a + match.size, ahi, match.b + match.size, bhi]);
+    }
+  }
+
+  return blocks.sort((x, y) => x.a - y.a);
+}
+
+// Align two full-page images row band by row band so content below an
+// inserted or removed block lines up again. Returns both images re-laid out on
+// a common height (gaps padded white), the source row of each aligned row as
+// [baseRow, targetRow] pairs (-1 for padding), the ignore coverage mapped onto
+// the aligned rows, and the inserted/removed bands: `y` is in target
+// coordinates for inserted bands and base coordinates for removed ones.
+//
+// A pixel is ignored when either side's source pixel is covered, and is then
+// painted gray on both aligned images so it never mismatches.
+function alignRows(img1, img2, baseHeight, targetHeight, covered = null) {
+  const { width } = img1;
+  const blocks = getMatchingBlocks(
+    hashRows(img1, baseHeight),
+    hashRows(img2, targetHeight)
+  );
+  blocks.push({ a: baseHeight, b: targetHeight, size: 0 });
+
+  // Each aligned row takes one base row and one target row (-1 for padding)
+  const rows = [];
+  const shifts = [];
+  let a = 0;
+  let b = 0;
+  for (const block of blocks) {
+    const baseGap = block.a - a;
+    const targetGap = block.b - b;
+    if (targetGap > baseGap) {
+      shifts.push({
+        type: "inserted",
+        y: b + baseGap,
+        height: targetGap - baseGap,
+      });
+    } else if (baseGap > targetGap) {
+      shifts.push({
+        type: "removed",
+        y: a + targetGap,
+        height: baseGap - targetGap,
+      });
+    }
+    for (let i = 0; i < Math.max(baseGap, targetGap); i++) {
+      rows.push([i < baseGap ? a + i : -1, i < targetGap ? b + i : -1]);
+    }
+    for (let i = 0; i < block.size; i++) {
+      rows.push([block.a + i, block.b + i]);
+    }
+    a = block.a + block.size;
+    b = block.b + block.size;
+  }
+
+  const height = rows.length;
+  const base = new PNG({ width, height });
+  const target = new PNG({ width, height });
+  base.data.fill(255);
+  target.data.fill(255);
+  const alignedCovered = covered ? new Uint8Array(width * height) : null;
+  let ignoredPixels = 0;
+
+  rows.forEach(([baseRow, targetRow], y) => {
+    if (baseRow >= 0) {
+      PNG.bitblt(img1, base, 0, baseRow, width, 1, 0, y);
+    }
+    if (targetRow >= 0) {
+      PNG.bitblt(img2, target, 0, targetRow, width, 1, 0, y);
+    }
+    if (alignedCovered) {
+      for (let x = 0; x < width; x++) {
+        if (
+          (baseRow >= 0 && covered[baseRow * width + x]) ||
+          (targetRow >= 0 && covered[targetRow * width + x])
+        ) {
+          const pixel = y * width + x;
+          alignedCovered[pixel] = 1;
+          ignoredPixels++;
+          base.data.writeUInt32BE(0x808080ff, pixel * 4); // Opaque gray
+          target.data.writeUInt32BE(0x808080ff, pixel * 4);
+        }
+      }
+    }
+  });
+
+  return {
+    base,
+    target,
+    width,
+    height,
+    rows,
+    covered: alignedCovered,
+    ignoredPixels,
+    shifts,
+  };
+}
+
+// Map regions found on aligned images back onto each side's own screenshot:
+// every region gets a `base` and `target` { y, height } row range, or null
+// when the region covers only padding on that side (e.g. an inserted band)
+function mapRegionRows(regions, rows) {
+  return regions.map((region) => {
+    const sourceRange = (side) => {
+      const sourceRows = rows
+        .slice(region.y, region.y + region.height)
+        .map((pair) => pair[side])
+        .filter((row) => row >= 0);
+      if (sourceRows.length === 0) {
+        return null;
+      }
+      // Alignment keeps rows in order, so the range is contiguous
+      const y = Math.min(...sourceRows);
+      return { y, height: Math.max(...sourceRows) - y + 1 };
+    };
+    return { ...region, base: sourceRange(0), target: sourceRange(1) };
+  });
+}
+
+// Describe an inserted or removed band, e.g. "inserted 120 px at y=340"
+function describeRowShift(shift) {
+  return `${shift.type} ${shift.height} px at y=${shift.y}`;
+}
+
+module.exports = { alignRows, mapRegionRows, describeRowShift };
@@ -0,0 +1,490 @@
+const fs = require("fs");
+const path = require("path");
+const { devices } = require("@playwright/test");
+const { getPageSlug } = require("./fileNames.js");
+const { getAnnotatedPath } = require("./diffRegions.js");
+const { runDiff } = require("./diffPool.js");
+const { METRICS } = require("./config.js");
+
+let chalk;
+
+// Fallbacks when config.js does not define `defaults`
+const DEFAULT_PASS_THRESHOLD = 95;
+const DEFAULT_PIXELMATCH_THRESHOLD = 0.1;
+const DEFAULT_METRIC = "pixel";
+
+// Interaction state steps, each naming the selector to act on, and how long a
+// step or wait condition may take
+const STATE_ACTIONS = ["hover", "click"];
+const STATE_STEP_TIMEOUT = 10000;
+
+// How long a visible component may take to screenshot (e.g. to become stable)
+const COMPONENT_CAPTURE_TIMEOUT = 10000;
+
+// Freezes animations, transitions and the text caret. Elementor keeps
+// entrance-animated widgets invisible until they scroll into view, so those
+// are forced visible as well.
+const FREEZE_ANIMATIONS_CSS = `
+  *, *::before, *::after {
+    animation-delay: 0s !important;
+    animation-duration: 0s !important;
+    animation-iteration-count: 1 !important;
+    transition: none !important;
+    caret-color: transparent !important;
+    scroll-behavior: auto !important;
+  }
+  .elementor-invisible { visibility: visible !important; }
+`;
+
+// Dynamically load `chalk`
+(async () => {
+  chalk = (await import("chalk")).default;
+})();
+
+// Ensure directory exists
+function ensureDirectoryExistence(filePath) {
+  const dirname = path.dirname(filePath);
+  if (!fs.existsSync(dirname)) {
+    fs.mkdirSync(dirname, { recursive: true });
+  }
+}
+
+// Build the screenshot path for a page within a device folder
+function getScreenshotPath(deviceName, folder, pagePath, root = "screenshots") {
+  return path.join(root, deviceName, folder, `${getPageSlug(pagePath)}.png`);
+}
+
+// Merge global defaults with the per-path overrides from config.js
+function getPageOptions(config, pagePath) {
+  const defaults = config.defaults || {};
+  const overrides = (config.pages || {})[pagePath] || {};
+
+  return {
+    ...defaults,
+    ...overrides,
+    mask: [...(defaults.mask || []), ...(overrides.mask || [])],
+    hide: [...(defaults.hide || []), ...(overrides.hide || [])],
+    ignoreRegions: [
+      ...(defaults.ignoreRegions || []),
+      ...(overrides.ignoreRegions || []),
+    ],
+  };
+}
+
+// Compare two screenshots at native resolution and return similarity details.
+// Images of different sizes are padded to the larger dimensions, so missing
+// content on the shorter page counts as a difference. The diff runs on the
+// worker pool, from the PNG bytes in `images` ({ base, target }) when the
+// screenshots were just captured, or from the files otherwise.
+async function compareScreenshots(
+  baselinePath,
+  currentPath,
+  diffPath,
+  options = {},
+  pair,
+  images = {}
+) {
+  const startedAt = Date.now();
+  if (
+    (!images.base && !fs.existsSync(baselinePath)) ||
+    (!images.target && !fs.existsSync(currentPath))
+  ) {
+    console.log(
+      chalk.red(`Missing file(s): ${baselinePath} or ${currentPath}`)
+    );
+    return {
+      similarityPercentage: "Error",
+      error: `Missing file(s): ${baselinePath} or ${currentPath}`,
+    };
+  }
+
+  const metric = options.metric || DEFAULT_METRIC;
+  if (!METRICS.includes(metric)) {
+    throw new Error(
+      `Unknown similarity metric "${metric}". Use one of: ${METRICS.join(
+        ", "
+      )}.`
+    );
+  }
+
+  const pixelmatchThreshold =
+    options.pixelmatchThreshold ?? DEFAULT_PIXELMATCH_THRESHOLD;
+  const { diffImage, annotatedImage, baseSize, targetSize, ...diff } =
+    await runDiff({
+      base: images.base || baselinePath,
+      target: images.target || currentPath,
+      // Only plain values cross to the worker thread
+      options: {
+        pixelmatchThreshold,
+        includeAA: options.includeAA ?? false,
+        ignoreRegions: options.ignoreRegions,
+        alignRows: options.alignRows,
+        regionGap: options.regionGap,
+      },
+      colors: { base: pair.base.color, target: pair.target.color },
+    });
+
+  if (diff.heightDelta !== 0 || baseSize[0] !== targetSize[0]) {
+    console.log(
+      chalk.yellow(
+        `Size mismatch for ${baselinePath} (${baseSize.join(
+          "x"
+        )}) and ${currentPath} (${targetSize.join("x")}), padding to ${
+          diff.width
+        }x${Math.max(baseSize[1], targetSize[1])}`
+      )
+    );
+  }
+
+  fs.writeFileSync(diffPath, diffImage);
+  fs.writeFileSync(getAnnotatedPath(diffPath), annotatedImage);
+
+  // Both scores are reported; the page's `metric` decides which one is the
+  // similarity compared against its pass threshold
+  return {
+    similarityPercentage:
+      metric === "ssim" ? diff.ssimSimilarity : diff.pixelSimilarity,
+    metric,
+    ...diff,
+    pixelmatchThreshold,
+    timings: { ...diff.timings, totalMs: Date.now() - startedAt },
+  };
+}
+
+// Resolve the devices to run, optionally filtered by a comma-separated
+// DEVICES environment variable (e.g. DEVICES=Desktop,Mobile)
+function getConfiguredDevices(config) {
+  const selected = process.env.DEVICES
+    ? process.env.DEVICES.split(",").map((name) => name.trim().toLowerCase())
+    : null;
+
+  return config.devices.filter(
+    (device) => !selected || selected.includes(device.name.toLowerCase())
+  );
+}
+
+// Build browser context options for a configured device
+function getDeviceContextOptions(device) {
+  const options = {};
+
+  if (device.device) {
+    if (!devices[device.device]) {
+      throw new Error(`Unknown Playwright device: ${device.device}`);
+    }
+    // `defaultBrowserType` is a project option, not a context option
+    const { defaultBrowserType, ...descriptor } = devices[device.device];
+    Object.assign(options, descriptor);
+  }
+
+  if (device.viewport) {
+    options.viewport = device.viewport;
+  }
+
+  return options;
+}
+
+// Scroll through the whole page to trigger lazy-loaded content, wait for the
+// images that started loading, then scroll back to the top
+async function scrollToLoadLazyContent(page) {
+  await page.evaluate(async () => {
+    const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    const step = Math.max(window.innerHeight / 2, 200);
+
+    for (let y = 0; y < document.documentElement.scrollHeight; y += step) {
+      window.scrollTo(0, y);
+      await delay(100);
+    }
+
+    await Promise.race([
+      Promise.all(
+        [...document.images]
+          .filter((image) => !image.complete)
+          .map(
+            (image) =>
+              new Promise((resolve) => {
+                image.addEventListener("load", resolve, { once: true });
+                image.addEventListener("error", resolve, { once: true });
+              })
+          )
+      ),
+      delay(10000),
+    ]);
+
+    window.scrollTo(0, 0);
+  });
+}
+
+// Settle the page before capture: freeze animations, wait for web fonts and
+// load lazy content so consecutive captures render the same pixels
+async function stabilizePage(page, options = {}) {
+  if (options.freezeAnimations !== false) {
+    await page.addStyleTag({ content: FREEZE_ANIMATIONS_CSS });
+  }
+
+  await page.evaluate(() => document.fonts.ready);
+
+  if (options.scrollToLoad !== false) {
+    await scrollToLoadLazyContent(page);
+    await page.waitForLoadState("networkidle", { timeout: 15000 }).catch(() => {
+      // Beacons and chat widgets can keep the network busy; capture anyway
+    });
+  }
+}
+
+// Take full-page screenshots until two consecutive captures are identical,
+// or return the last one once `maxAttempts` is reached
+async function takeStableScreenshot(page, screenshotOptions, stableShots = {}) {
+  let previous = await page.screenshot(screenshotOptions);
+  if (!stableShots.enabled) {
+    return previous;
+  }
+
+  const maxAttempts = stableShots.maxAttempts || 5;
+  for (let attempt = 2; attempt <= maxAttempts; attempt++) {
+    await page.waitForTimeout(stableShots.interval ?? 1000);
+    const current = await page.screenshot(screenshotOptions);
+    if (current.equals(previous)) {
+      return current;
+    }
+    previous = current;
+  }
+
+  console.log(
+    chalk.yellow(
+      `Screenshot did not stabilize after ${maxAttempts} attempts: ${page.url()}`
+    )
+  );
+  return previous;
+}
+
+// Wait until the page is ready according to the configured readiness rules:
+// a navigation `waitUntil` event, then an optional selector, JS condition and
+// fixed delay
+async function navigateAndWaitUntilReady(page, url, options = {}) {
+  const timeout = options.navigationTimeout ?? 60000;
+
+  await page.goto(url, {
+    waitUntil: options.waitUntil || "networkidle",
+    timeout,
+  });
+
+  if (options.waitForSelector) {
+    await page.waitForSelector(options.waitForSelector, {
+      state: "visible",
+      timeout,
+    });
+  }
+
+  if (options.waitForFunction) {
+    await page.waitForFunction(options.waitForFunction, null, { timeout });
+  }
+
+  if (options.extraDelay) {
+    await page.waitForTimeout(options.extraDelay);
+  }
+}
+
+// Load a page and settle it for capture: readiness rules, hidden selectors
+// and stabilization
+async function preparePage(page, url, options) {
+  console.log(chalk.blue(`Navigating to: ${url}`));
+  await navigateAndWaitUntilReady(page, url, options);
+
+  if (options.hide && options.hide.length > 0) {
+    await page.addStyleTag({
+      content: `${options.hide.join(", ")} { visibility: hidden !important; }`,
+    });
+  }
+
+  await stabilizePage(page, options);
+}
+
+// Capture an element screenshot of each component on the loaded page (first
+// match of its selector). Returns `{ found, hidden, error, screenshot }` per
+// component name, `screenshot` being the PNG bytes also written to its path.
+// Hidden components count as not found rather than waiting to become visible;
+// a component that fails to capture does not fail the page.
+async function captureComponents(page, components, options) {
+  const captures = {};
+
+  for (const component of components) {
+    fs.rmSync(component.screenshotPath, { force: true });
+    const locator = page
+      .locator(
+        component.selector,
+        component.has ? { has: page.locator(component.has) } : undefined
+      )
+      .first();
+
+    try {
+      if ((await locator.count()) === 0) {
+        captures[component.name] = { found: false };
+        continue;
+      }
+      if (!(await locator.isVisible())) {
+        captures[component.name] = { found: false, hidden: true };
+        continue;
+      }
+      const screenshot = await locator.screenshot({
+        scale: "css",
+        animations: options.freezeAnimations !== false ? "disabled" : "allow",
+        caret: "hide",
+        mask: (options.mask || []).map((selector) => page.locator(selector)),
+        timeout: COMPONENT_CAPTURE_TIMEOUT,
+      });
+      ensureDirectoryExistence(component.screenshotPath);
+      fs.writeFileSync(component.screenshotPath, screenshot);
+      captures[component.name] = { found: true, screenshot };
+    } catch (error) {
+      console.error(
+        chalk.red(
+          `Failed to capture component ${component.name} on ${page.url()}: ${
+            error.message
+          }`
+        )
+      );
+      captures[component.name] = { found: false, error: error.message };
+    }
+  }
+
+  return captures;
+}
+
+// Capture screenshot for a given URL, hiding and masking configured elements,
+// then any `components` ({ name, selector, has, screenshotPath }). Returns the
+// page `screenshot` bytes (also written to `screenshotPath`) and the
+// `components` captures, so they can be diffed without reading them back.
+// Any previous screenshot is removed first, so a failed capture throws
+// instead of leaving a stale file behind to be compared.
+async function captureScreenshot(
+  page,
+  url,
+  screenshotPath,
+  options = {},
+  components = []
+) {
+  fs.rmSync(screenshotPath, { force: true });
+
+  try {
+    await preparePage(page, url, options);
+
+    const screenshot = await takeStableScreenshot(
+      page,
+      {
+        fullPage: true,
+        // CSS pixels keep ignore regions consistent across device scale factors
+        scale: "css",
+        animations: options.freezeAnimations !== false ? "disabled" : "allow",
+        caret: "hide",
+        mask: (options.mask || []).map((selector) => page.locator(selector)),
+      },
+      options.stableShots
+    );
+
+    ensureDirectoryExistence(screenshotPath);
+    fs.writeFileSync(screenshotPath, screenshot);
+    console.log(chalk.green(`Screenshot captured: ${screenshotPath}`));
+
+    return {
+      screenshot,
+      components: await captureComponents(page, components, options),
+    };
+  } catch (error) {
+    console.error(
+      chalk.red(`Failed to capture screenshot for ${url}: ${error.message}`)
+    );
+    throw new Error(`Failed to capture ${url}: ${error.message}`);
+  }
+}
+
+// Drive the page into an interaction state: run its hover/click `steps` in
+// order, then wait for its `waitFor` condition. Returns false when a step's
+// target is not on the page.
+async function applyInteractionState(page, state) {
+  for (const step of state.steps || []) {
+    const [action] = STATE_ACTIONS.filter((name) => step[name]);
+    if (!action) {
+      throw new Error(
+        `State ${state.name} has a step without ${STATE_ACTIONS.join(" or ")}`
+      );
+    }
+    const locator = page.locator(step[action]).first();
+    if ((await locator.count()) === 0) {
+      return false;
+    }
+    await locator[action]({ timeout: STATE_STEP_TIMEOUT });
+  }
+
+  const waitFor = state.waitFor || {};
+  if (waitFor.selector) {
+    await page.waitForSelector(waitFor.selector, {
+      state: waitFor.state || "visible",
+      timeout: STATE_STEP_TIMEOUT,
+    });
+  }
+  if (waitFor.function) {
+    await page.waitForFunction(waitFor.function, null, {
+      timeout: STATE_STEP_TIMEOUT,
+    });
+  }
+  if (waitFor.delay) {
+    await page.waitForTimeout(waitFor.delay);
+  }
+  return true;
+}
+
+// Capture each interaction state ({ name, steps, waitFor, fullPage,
+// screenshotPath }) on a freshly loaded page, so states never leak into each
+// other. Returns `{ found, error, screenshot }` per state name like
+// `captureComponents`.
+async function captureStates(page, url, states, options) {
+  const captures = {};
+
+  for (const state of states) {
+    fs.rmSync(state.screenshotPath, { force: true });
+
+    try {
+      await preparePage(page, url, options);
+      if (!(await applyInteractionState(page, state))) {
+        captures[state.name] = { found: false };
+        continue;
+      }
+
+      const screenshot = await page.screenshot({
+        fullPage: state.fullPage === true,
+        scale: "css",
+        animations: options.freezeAnimations !== false ? "disabled" : "allow",
+        caret: "hide",
+        mask: (options.mask || []).map((selector) => page.locator(selector)),
+      });
+      ensureDirectoryExistence(state.screenshotPath);
+      fs.writeFileSync(state.screenshotPath, screenshot);
+      console.log(
+        chalk.green(`State ${state.name} captured: ${state.screenshotPath}`)
+      );
+      captures[state.name] = { found: true, screenshot };
+    } catch (error) {
+      console.error(
+        chalk.red(
+          `Failed to capture state ${state.name} on ${url}: ${error.message}`
+        )
+      );
+      captures[state.name] = { found: false, error: error.message };
+    }
+  }
+
+  return captures;
+}
+
+module.exports = {
+  DEFAULT_PASS_THRESHOLD,
+  DEFAULT_PIXELMATCH_THRESHOLD,
+  ensureDirectoryExistence,
+  getScreenshotPath,
+  getPageOptions,
+  compareScreenshots,
+  getConfiguredDevices,
+  getDeviceContextOptions,
+  captureScreenshot,
+  captureStates,
+};
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL, fileURLToPath } = require("url");
+const axios = require("axios");
+
+// Maximum sitemap index nesting followed before giving up
+const MAX_SITEMAP_DEPTH = 5;
+
+// Decode the XML entities that can appear inside a <loc> value
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// Parse sitemap XML into its type ("index" or "urlset") and <loc> values
+function parseSitemap(xml) {
+  const type = /<sitemapindex[\s>]/i.test(xml) ? "index" : "urlset";
+  const locations = [];
+  const locPattern =
+    /<loc>\s*(?:<!\[CDATA\[)?\s*(.*?)\s*(?:\]\]>)?\s*<\/loc>/gis;
+
+  let match;
+  while ((match = locPattern.exec(xml)) !== null) {
+    locations.push(decodeXmlEntities(match[1]));
+  }
+
+  return { type, locations };
+}
+
+// Read a sitemap from an http(s) or file URL
+async function readSitemap(sitemapUrl) {
+  if (sitemapUrl.protocol === "file:") {
+    return fs.readFileSync(fileURLToPath(sitemapUrl), "utf8");
+  }
+
+  const response = await axios.get(sitemapUrl.toString(), {
+    responseType: "text",
+    timeout: 30000,
+  });
+  return response.data;
+}
+
+// Collect every page URL from a sitemap, following sitemap index files.
+// Nested sitemap locations are resolved relative to their parent.
+async function collectSitemapUrls(sitemapUrl, depth = 0, visited = new Set()) {
+  const key = sitemapUrl.toString();
+  if (visited.has(key) || depth > MAX_SITEMAP_DEPTH) {
+    return [];
+  }
+  visited.add(key);
+
+  const { type, locations } = parseSitemap(await readSitemap(sitemapUrl));
+  if (type === "urlset") {
+    return locations;
+  }
+
+  const pageUrls = [];
+  for (const location of locations) {
+    pageUrls.push(
+      ...(await collectSitemapUrls(
+        new URL(location, sitemapUrl),
+        depth + 1,
+        visited
+      ))
+    );
+  }
+  return pageUrls;
+}
+
+// Test a page path against include/exclude patterns (strings are regexes)
+function matchesFilters(pagePath, include = [], exclude = []) {
+  const toRegExp = (pattern) =>
+    pattern instanceof RegExp ? pattern : new RegExp(pattern);
+
+  if (include.length > 0 && !include.some((p) => toRegExp(p).test(pagePath))) {
+    return false;
+  }
+  return !exclude.some((p) => toRegExp(p).test(pagePath));
+}
+
+// Resolve the sitemap location from config: a local `file` (relative to the
+// project root) or a `url`, which may be a path on the configured environment
+function getSitemapUrl(sitemapConfig, environments) {
+  if (sitemapConfig.file) {
+    return pathToFileURL(path.resolve(__dirname, "..", sitemapConfig.file));
+  }
+
+  const environment = environments[sitemapConfig.environment || "prod"];
+  if (!environment) {
+    throw new Error(
+      `Unknown sitemap environment "${sitemapConfig.environment}".`
+    );
+  }
+  return new URL(
+    sitemapConfig.url || "/sitemap.xml",
+    `${environment.baseUrl}/`
+  );
+}
+
+// Read the configured sitemap and return the filtered list of page paths
+async function getSitemapPaths(sitemapConfig, environments) {
+  const pageUrls = await collectSitemapUrls(
+    getSitemapUrl(sitemapConfig, environments)
+  );
+
+  const pagePaths = pageUrls.map((pageUrl) => {
+    const { pathname, search } = new URL(pageUrl);
+    return `${pathname}${search}`;
+  });
+
+  return [...new Set(pagePaths)].filter((pagePath) =>
+    matchesFilters(pagePath, sitemapConfig.include, sitemapConfig.exclude)
+  );
+}
+
+module.exports = {
+  parseSitemap,
+  collectSitemapUrls,
+  matchesFilters,
+  getSitemapPaths,
+};
@@ -0,0 +1,66 @@
+// Side of the square, non-overlapping windows SSIM is computed over
+const SSIM_WINDOW = 8;
+
+// Stabilizing constants from the SSIM paper for 8-bit values
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+// Luminance of the RGBA pixel at byte offset `i`
+function luma(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+// Structural similarity (SSIM) of two equally sized RGBA images, as a
+// percentage: the mean SSIM of their 8x8 luminance windows. Pixels flagged in
+// `ignored` (one byte per pixel) are left out, as are windows with none left.
+function computeSsim(img1, img2, width, height, ignored = null) {
+  let total = 0;
+  let windows = 0;
+
+  for (let top = 0; top < height; top += SSIM_WINDOW) {
+    for (let left = 0; left < width; left += SSIM_WINDOW) {
+      let n = 0;
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+
+      for (let y = top; y < Math.min(top + SSIM_WINDOW, height); y++) {
+        for (let x = left; x < Math.min(left + SSIM_WINDOW, width); x++) {
+          const pixel = y * width + x;
+          if (ignored && ignored[pixel]) {
+            continue;
+          }
+          const a = luma(img1.data, pixel * 4);
+          const b = luma(img2.data, pixel * 4);
+          n++;
+          sumA += a;
+          sumB += b;
+          sumAA += a * a;
+          sumBB += b * b;
+          sumAB += a * b;
+        }
+      }
+
+      if (n === 0) {
+        continue;
+      }
+
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varianceA = sumAA / n - meanA * meanA;
+      const varianceB = sumBB / n - meanB * meanB;
+      const covariance = sumAB / n - meanA * meanB;
+
+      total +=
+        ((2 * meanA * meanB + C1) * (2 * covariance + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varianceA + varianceB + C2));
+      windows++;
+    }
+  }
+
+  return windows > 0 ? Math.max(0, total / windows) * 100 : 100;
+}
+
+module.exports = { computeSsim };
@@ -0,0 +1,103 @@
+const path = require("path");
+const { getPageSlug } = require("./fileNames.js");
+const { matchesFilters } = require("./sitemap.js");
+const { compareComponents } = require("./components.js");
+
+// Path of an interaction state screenshot: a `states/<state>` folder beside
+// the page screenshots, one file per page
+function getStateScreenshotPath(
+  deviceName,
+  folder,
+  pagePath,
+  stateName,
+  root = "screenshots"
+) {
+  return path.join(
+    root,
+    deviceName,
+    folder,
+    "states",
+    getPageSlug(stateName),
+    `${getPageSlug(pagePath)}.png`
+  );
+}
+
+// Describe a state's steps, e.g. "hover .menu → click .menu a"
+function describeStateSteps(state) {
+  return (state.steps || [])
+    .map((step) =>
+      Object.entries(step)
+        .map(([action, selector]) => `${action} ${selector}`)
+        .join(" ")
+    )
+    .join(" → ");
+}
+
+// Resolve the interaction states captured on a page, with the page options
+// each one is compared with (the state's `passThreshold` and `metric` win)
+function getPageStates(config, pagePath, pageOptions) {
+  return (config.states || [])
+    .filter((state) => matchesFilters(pagePath, state.include, state.exclude))
+    .map((state) => ({
+      name: state.name,
+      steps: state.steps || [],
+      waitFor: state.waitFor,
+      fullPage: state.fullPage,
+      options: {
+        ...pageOptions,
+        ...(state.passThreshold !== undefined && {
+          passThreshold: state.passThreshold,
+        }),
+        ...(state.metric && { metric: state.metric }),
+        // Page coordinates only line up with full-page state captures
+        ...(!state.fullPage && { alignRows: false, ignoreRegions: [] }),
+      },
+    }));
+}
+
+// Attach the screenshot and diff paths of a comparison to each state
+function withStatePaths(states, deviceName, pagePath, pair) {
+  return states.map((state) => ({
+    ...state,
+    artifacts: {
+      base: getStateScreenshotPath(
+        deviceName,
+        pair.base.folder,
+        pagePath,
+        state.name,
+        pair.base.root
+      ),
+      target: getStateScreenshotPath(
+        deviceName,
+        pair.target.folder,
+        pagePath,
+        state.name,
+        pair.target.root
+      ),
+      diff: getStateScreenshotPath(
+        deviceName,
+        `diff/${pair.id}`,
+        pagePath,
+        state.name
+      ),
+    },
+  }));
+}
+
+// Compare the states captured on both environments the way components are:
+// states whose step targets are missing on both pages are left out
+function compareStates(states, captures, pair) {
+  return compareComponents(
+    states.map((state) => ({ ...state, selector: describeStateSteps(state) })),
+    captures,
+    pair
+  );
+}
+
+module.exports = {
+  getStateScreenshotPath,
+  describeStateSteps,
+  getPageStates,
+  withStatePaths,
+  compareStates,
+};